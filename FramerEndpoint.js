@@ -11,96 +11,2218 @@
  * Minimum required for verifier logic:
  *   Client Email | Access Code | Plugin Name | Framer User ID
  *
- * Plugin names are arbitrary strings (e.g., "Grid", "Globe", etc.)
+ * Optional:
+ *   Status     - written by StripeEndpoint.js; refunded / disputed / canceled
+ *                purchases answer valid:false with that reason.
+ *   Expires At - subscriptions only; past this date the purchase answers
+ *                valid:false, reason:'expired'. Valid responses then include
+ *                expires_at and days_remaining.
+ *   License Key - generated by StripeEndpoint.js (e.g. GRID-7KQ2-M9XP-4TZC);
+ *                accepted as access_code, ignoring case, spaces and dashes.
+ *   Seats      - how many Framer user IDs may bind the purchase (empty = 1).
+ *                Bound IDs are stored comma-separated in Framer User ID.
+ *   Transfer Count / Last Transfer At - written by action=unbind / transfer
+ *                (added on first use).
+ *   Last Recovery At - written by action=recover (added on first use).
+ *   Type       - "trial" for rows created by action=trial (see TRIAL_DAYS),
+ *                "trial_converted" once a purchase took the trial over.
+ *   Alternate Codes - written by StripeEndpoint.js; other codes (receipt
+ *                number, invoice ID, ...) accepted as access_code.
+ *
+ * Access codes are compared in canonical form (see canonicalCode_), so
+ * "#1234-5678", "1234 5678" and receipt / invoice URLs all match.
+ *
+ * Plugin names are arbitrary strings (e.g., "Grid", "Globe", etc.). A row
+ * whose Plugin Name is a bundle from the Config tab ("bundle.All Plugins")
+ * verifies for each of the bundle's plugins, bound per plugin as
+ * "Grid:ID, Globe:ID".
+ *
+ * Header names and the sheet name can be changed in the shared Config tab
+ * (see CONFIG_SHEET_NAME).
+ *
+ * Every non-admin request is recorded in the Audit Log tab
+ * (see AUDIT_SHEET_NAME and installAuditLogTriggers).
  ****************************************************/
 
-// === CONFIG (edit these) ===
+// === CONFIG (edit these) ===
+
+/**
+ * Google Sheet configuration
+ *
+ * - SPREADSHEET_ID:
+ *     Open your target Google Sheet → URL looks like:
+ *     https://docs.google.com/spreadsheets/d/<THIS_IS_YOUR_ID>/edit
+ *     Copy that ID string and paste it below.
+ *
+ * - SHEET_NAME:
+ *     Name of the worksheet/tab that contains your purchase records.
+ */
+const SPREADSHEET_ID = 'YOUR_SPREADSHEET_ID_HERE';
+const SHEET_NAME     = 'Purchases';
+
+/**
+ * Tenants (optional: one deployment serving several vendors)
+ *
+ * - TENANTS:
+ *     Tenant ID → { spreadsheet_id }. Requests pick a tenant with
+ *     tenant=<id> (or vendor=<id>); requests without one use SPREADSHEET_ID
+ *     (set it to '' to serve tenants only). Unknown tenants are refused.
+ *       'acme': { spreadsheet_id: '1AbC...' }
+ *     Each tenant's spreadsheet has its own Config tab (sheet name, columns,
+ *     bundles) and Audit Log. Its secrets are the script properties
+ *     "<NAME>.<id>" (LICENSE_TOKEN_SECRET.acme, ADMIN_KEY.acme); the plain
+ *     ones only apply to requests without a tenant. Cache entries (verify
+ *     responses, lookup index, rate limits, audit buffer) are namespaced by
+ *     tenant. Apps Script has one script lock per project, so tenants share
+ *     it: their binds wait for each other, but a locked section only ever
+ *     touches its own tenant's spreadsheet. Same IDs as TENANTS in
+ *     StripeEndpoint.js.
+ */
+const TENANTS = {};
+
+/**
+ * Caching configuration
+ *
+ * - CACHE_SECONDS:
+ *     Number of seconds to cache successful verification responses
+ *     (when no bind/write is requested). This reduces read-load on
+ *     your sheet and speeds up repeated checks.
+ *
+ * - META_SHEET_NAME:
+ *     Hidden tab holding the purchases sheet's data version (created on
+ *     first write). StripeEndpoint.js and every bind change it, which
+ *     invalidates all cached responses and the lookup index at once.
+ *
+ * - INDEX_CACHE_SECONDS:
+ *     How long the email + access code → row lookup index stays cached
+ *     (at most 6 hours, the CacheService limit).
+ *
+ * - INDEX_SHARD_BYTES:
+ *     Target size of one index chunk; CacheService values are limited
+ *     to 100 KB, so leave room for uneven chunks.
+ */
+const CACHE_SECONDS       = 300; // 5 minutes
+const META_SHEET_NAME     = '_Meta';
+const INDEX_CACHE_SECONDS = 6 * 60 * 60;
+const INDEX_SHARD_BYTES   = 50000;
+
+/**
+ * Status values (see StripeEndpoint.js) that revoke a purchase, mapped to the
+ * `reason` returned to the plugin. Partial refunds and won disputes stay valid.
+ */
+const REVOKED_STATUS_REASONS = {
+  refunded:     'refunded',
+  disputed:     'disputed',
+  dispute_lost: 'disputed',
+  canceled:     'canceled'
+};
+
+/**
+ * Stripe test mode
+ *
+ * StripeEndpoint.js writes the event's mode into the Mode column: "test"
+ * for Stripe test-mode events (livemode: false), "live" otherwise. Rows
+ * without a Mode (written before the column existed) count as live.
+ *
+ * - TEST_PURCHASES:
+ *     'reject' - test purchases never verify (reason: test_mode)
+ *     'param'  - they verify only for requests with mode=test, e.g. from a
+ *                development build of the plugin
+ *     'accept' - they verify like live purchases (a test-only deployment)
+ */
+const TEST_PURCHASES = 'reject';
+
+/**
+ * License key format (keep in sync with StripeEndpoint.js):
+ *   [PREFIX-]XXXX-XXXX-XXXX  – 11 random characters + 1 checksum character
+ *   from LICENSE_KEY_ALPHABET; the optional prefix is letters only.
+ */
+const LICENSE_KEY_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+/**
+ * Offline license tokens (optional)
+ *
+ * - LICENSE_TOKEN_SECRET:
+ *     Script property "LICENSE_TOKEN_SECRET" (any long random string). When
+ *     set, every valid:true response carries a `token`: a compact JWT
+ *     (HS256) with the claims
+ *       plg – plugin name, fid – bound framer_user_id ('' if unbound),
+ *       eml – SHA-256 hex of the lowercased email, iat / exp – seconds.
+ *     Plugins verify it with the same secret and keep working offline until
+ *     exp; action=refresh reissues it (see refreshLicenseToken_()).
+ *     Tenants use "LICENSE_TOKEN_SECRET.<id>" instead (see TENANTS).
+ *
+ * - LICENSE_TOKEN_SECONDS:
+ *     Token lifetime. Subscription tokens never outlive Expires At.
+ */
+const LICENSE_TOKEN_SECRET  = PropertiesService.getScriptProperties().getProperty('LICENSE_TOKEN_SECRET') || '';
+const LICENSE_TOKEN_SECONDS = 7 * 24 * 60 * 60; // 7 days
+
+/**
+ * Rate limiting (brute-force protection)
+ *
+ * Failed checks (reason not_found or invalid_key) are counted per email, per
+ * access code and per framer_user_id over a sliding window. Reaching a limit
+ * locks that value out for RATE_LIMIT_LOCKOUT_SECONDS: requests using it
+ * answer reason:'rate_limited' with retry_after (seconds) before the sheet
+ * is read. Successful checks are never counted.
+ *
+ * - RATE_LIMIT_MAX_FAILURES:
+ *     Failures allowed per window for each value (0 disables that counter).
+ *     recover_email counts every action=recover request for an email,
+ *     successful or not (see recoverAccessCodes_); trial_user and
+ *     trial_plugin count every action=trial request per framer_user_id and
+ *     per plugin, and every trial check counts towards framer_user_id
+ *     (see trialRequest_).
+ * - RATE_LIMIT_WINDOW_SECONDS / RATE_LIMIT_LOCKOUT_SECONDS:
+ *     Sliding window length and lockout length (max 21600, CacheService limit).
+ */
+const RATE_LIMIT_MAX_FAILURES = {
+  email:          10,
+  access_code:    10,
+  framer_user_id: 20,
+  recover_email:  3,
+  trial_user:     5,
+  trial_plugin:   60
+};
+const RATE_LIMIT_WINDOW_SECONDS  = 15 * 60;
+const RATE_LIMIT_LOCKOUT_SECONDS = 15 * 60;
+
+/**
+ * Unbind / transfer (action=unbind, action=transfer)
+ *
+ * - ADMIN_KEY:
+ *     Script property "ADMIN_KEY". A request with admin_key=<value> may
+ *     unbind or transfer without the current framer_user_id and ignores the
+ *     limits below; it also unlocks the admin API (see adminRequest_).
+ *     Leave unset to allow customer requests only. Tenants use
+ *     "ADMIN_KEY.<id>" instead (see TENANTS).
+ *
+ * - TRANSFER_COOLDOWN_SECONDS:
+ *     Minimum time between two unbinds/transfers of the same purchase.
+ *
+ * - TRANSFER_MAX_PER_PURCHASE:
+ *     Maximum unbinds/transfers per purchase (0 = unlimited). Counted in the
+ *     Transfer Count column; Last Transfer At holds the time of the last one.
+ */
+const ADMIN_KEY                 = PropertiesService.getScriptProperties().getProperty('ADMIN_KEY') || '';
+const TRANSFER_COOLDOWN_SECONDS = 7 * 24 * 60 * 60; // 7 days
+const TRANSFER_MAX_PER_PURCHASE = 3;
+
+/**
+ * Access code recovery (action=recover)
+ *
+ * - RECOVERY_EMAIL_SUBJECT:
+ *     Subject of the email that lists a customer's access codes.
+ *
+ * - RECOVERY_COOLDOWN_SECONDS:
+ *     A purchase is emailed at most once per cooldown, based on its
+ *     Last Recovery At column (added on first use).
+ *
+ * - RECOVERY_MAX_PER_MINUTE:
+ *     action=recover requests handled per minute across all emails (0 =
+ *     unlimited). Further requests get the usual reply without reading the
+ *     sheet or sending mail, however many emails or clients they come from.
+ */
+const RECOVERY_EMAIL_SUBJECT    = 'Your access codes';
+const RECOVERY_COOLDOWN_SECONDS = 10 * 60; // 10 minutes
+const RECOVERY_MAX_PER_MINUTE   = 30;
+
+/**
+ * Free trials (action=trial)
+ *
+ * - TRIAL_DAYS:
+ *     Length of a trial (0 disables action=trial). Off by default: anyone
+ *     can start trials for made-up Framer user IDs.
+ *
+ * - TRIAL_PLUGINS:
+ *     Plugin names that offer a trial. Empty = every plugin that already
+ *     has a row in the purchases sheet.
+ *
+ * - TRIAL_MAX_NEW_PER_DAY:
+ *     New trials allowed over the last 24 hours, all plugins together
+ *     (0 = unlimited). Further starts answer reason:'trial_limit_reached'.
+ *
+ * Trial rows have Type TRIAL_TYPE, no email or access code, and are bound
+ * to the requesting framer_user_id. When that user binds a purchase of the
+ * plugin, the trial row's Type becomes TRIAL_CONVERTED_TYPE: it grants
+ * nothing from then on, but stays as the record of the user's one trial.
+ */
+const TRIAL_DAYS            = 0;
+const TRIAL_PLUGINS         = [];
+const TRIAL_MAX_NEW_PER_DAY = 50;
+const TRIAL_TYPE            = 'trial';
+const TRIAL_CONVERTED_TYPE  = 'trial_converted';
+
+/**
+ * Admin API paging (admin=search / admin=export)
+ *
+ * - ADMIN_PAGE_SIZE / ADMIN_MAX_PAGE_SIZE:
+ *     Default and maximum page_size for search results.
+ * - ADMIN_MAX_EXPORT:
+ *     Default and maximum page_size for CSV exports.
+ */
+const ADMIN_PAGE_SIZE     = 50;
+const ADMIN_MAX_PAGE_SIZE = 500;
+const ADMIN_MAX_EXPORT    = 5000;
+
+/**
+ * Audit log
+ *
+ * - AUDIT_SHEET_NAME:
+ *     Tab that receives one row per verify / bind / refresh / unbind /
+ *     transfer / recover request (created automatically). Emails are stored hashed
+ *     (SHA-256 of the lowercased email, like the token "eml" claim).
+ *
+ * - AUDIT_BUFFER_SHARDS / AUDIT_BUFFER_MAX_BYTES:
+ *     Entries are buffered in CacheService, in AUDIT_BUFFER_SHARDS buffers
+ *     per minute of at most AUDIT_BUFFER_MAX_BYTES each (CacheService
+ *     values are limited to 100KB), and written in batches by
+ *     flushAuditLog() (run installAuditLogTriggers() once). When every
+ *     buffer of the minute is full or the lock is busy, the entry is
+ *     appended straight to the sheet instead. Buffered entries live at
+ *     most 6 hours.
+ *
+ * - AUDIT_RETENTION_DAYS:
+ *     Entries older than this are deleted daily by rotateAuditLog(). 0 = keep all.
+ */
+const AUDIT_SHEET_NAME       = 'Audit Log';
+const AUDIT_BUFFER_SHARDS    = 4;
+const AUDIT_BUFFER_MAX_BYTES = 50000;
+const AUDIT_RETENTION_DAYS   = 90;
+
+/**
+ * API versions
+ *
+ * Requests with v=2 are answered as
+ *   { v: 2, ok, status, code, message, request_id, ...other fields }
+ * where `code` is one of API_CODES, `status` its HTTP-like status (Apps
+ * Script always sends HTTP 200) and `ok` is status < 400. `error` and
+ * `reason` are folded into code / message. Without v=2 the original format
+ * is kept, so existing plugin builds keep working.
+ *
+ * - API_CODES:
+ *     code → [status, default message]. Reasons of v1 valid:false answers
+ *     keep their names. The error codes are shared with StripeEndpoint.js
+ *     (see API_ERROR_STATUS there) — keep both in sync.
+ */
+const API_CODES = {
+  ok:                     [200, 'OK'],
+  // Outcomes (v1: ok:true, valid:false, reason)
+  not_found:              [404, 'No purchase matches this email and access code.'],
+  invalid_key:            [400, 'The license key is mistyped.'],
+  wrong_plugin:           [404, 'The purchase is for another plugin.'],
+  refunded:               [403, 'The purchase was refunded.'],
+  disputed:               [403, 'The purchase is disputed.'],
+  canceled:               [403, 'The purchase was canceled.'],
+  expired:                [403, 'The subscription has expired.'],
+  bound_requires_user_id: [401, 'The purchase is bound; pass framer_user_id.'],
+  bound_to_other:         [409, 'The purchase is bound to another Framer user.'],
+  seats_exhausted:        [409, 'Every seat of the purchase is bound to another Framer user.'],
+  not_bound_to_user:      [403, 'The purchase is not bound to this Framer user.'],
+  already_bound:          [409, 'The purchase is already bound to this Framer user.'],
+  transfer_cooldown:      [429, 'The purchase was moved recently; retry after retry_after seconds.'],
+  transfer_limit_reached: [403, 'The purchase cannot be moved again.'],
+  invalid_admin_key:      [403, 'The admin key is wrong.'],
+  invalid_token:          [401, 'The license token is invalid.'],
+  rate_limited:           [429, 'Too many failed checks; retry after retry_after seconds.'],
+  trial_unavailable:      [404, 'This plugin has no free trial.'],
+  trial_limit_reached:    [429, 'Too many new trials; retry after retry_after seconds.'],
+  already_purchased:      [409, 'This Framer user owns the plugin; verify with the access code.'],
+  test_mode:              [403, 'The purchase was made in Stripe test mode.'],
+  // Errors (v1: ok:false, error)
+  bad_request:            [400, 'A required parameter is missing or invalid.'],
+  invalid_signature:      [401, 'Invalid Stripe signature.'], // StripeEndpoint.js only
+  forbidden:              [403, 'Forbidden.'],
+  disabled:               [404, 'This feature is not enabled.'],
+  config_error:           [500, 'The purchases spreadsheet is not set up correctly.'],
+  internal_error:         [500, 'Internal error.']
+};
+
+/**
+ * Shared configuration (keep the defaults in sync with StripeEndpoint.js)
+ *
+ * - CONFIG_SHEET_NAME:
+ *     Tab with columns  Key | Value, created with createConfigSheet() in
+ *     StripeEndpoint.js. This script reads "sheet_name", the
+ *     "column.<field>" headers and the "bundle.<name>" plugin bundles;
+ *     "product.*" and "metadata.*" keys are only validated here. The tab
+ *     is cached for CACHE_SECONDS.
+ *
+ * - COLUMN_HEADERS / METADATA_KEYS:
+ *     Defaults for "column.<field>" and "metadata.<field>".
+ */
+const CONFIG_SHEET_NAME = 'Config';
+const COLUMN_HEADERS = {
+  client_name:     'Client Name',
+  client_email:    'Client Email',
+  paid_at:         'Paid At',
+  access_code:     'Access Code',
+  plugin_name:     'Plugin Name',
+  framer_user_id:  'Framer User ID',
+  event_id:        'Event ID',
+  status:          'Status',
+  revoked_at:      'Revoked At',
+  last_event_at:   'Last Event At',
+  subscription_id: 'Subscription ID',
+  expires_at:      'Expires At',
+  license_key:     'License Key',
+  sent_at:         'Sent At',
+  seats:           'Seats',
+  transfer_count:  'Transfer Count',
+  last_transfer_at: 'Last Transfer At',
+  last_recovery_at: 'Last Recovery At',
+  type:            'Type',
+  alternate_codes: 'Alternate Codes',
+  mode:            'Mode',
+  amount:          'Amount',
+  amount_received: 'Amount Received',
+  currency:        'Currency',
+  customer_id:     'Customer ID',
+  discount:        'Discount',
+  tax:             'Tax',
+  payment_method:  'Payment Method',
+  plugin_amount:   'Plugin Amount',
+  amount_refunded: 'Amount Refunded'
+};
+const METADATA_KEYS = {
+  plugin:         ['Plugin'],
+  plugin_id:      ['PluginId', 'order_reference'],
+  client_name:    ['ClientName'],
+  framer_user_id: ['framer_user_id'],
+  seats:          ['Seats', 'seats']
+};
+
+/************** Utilities **************/
+
+/**
+ * Normalizes a string for comparison:
+ * - Lowercases
+ * - Strips non-alphanumeric characters
+ */
+function norm(s) {
+  return String(s || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Returns the revocation reason for a Status cell value, or '' if the
+ * purchase is still valid.
+ */
+function revocationReason_(status) {
+  const k = String(status || '').trim().toLowerCase();
+  return Object.prototype.hasOwnProperty.call(REVOKED_STATUS_REASONS, k) ? REVOKED_STATUS_REASONS[k] : '';
+}
+
+/**
+ * Whether a Mode cell value marks a row the current request may not use:
+ * a test purchase that TEST_PURCHASES does not accept for it.
+ */
+function testModeBlocked_(mode) {
+  return String(mode || '').trim().toLowerCase() === 'test' && !(API_REQUEST && API_REQUEST.test);
+}
+
+/**
+ * Whether a request may use test purchases (see TEST_PURCHASES).
+ */
+function acceptsTestPurchases_(p) {
+  if (TEST_PURCHASES === 'accept') return true;
+  return TEST_PURCHASES === 'param' && String(p.mode || '').trim().toLowerCase() === 'test';
+}
+
+/**
+ * Expiry details for an "Expires At" cell value (Date or date string):
+ *   { expired, expires_at (ISO string), days_remaining }
+ * Rows without an expiry (one-off purchases) return {} and never expire.
+ */
+function expiryInfo_(v) {
+  if (v === '' || v === null || v === undefined) return {};
+  const d = v instanceof Date ? v : new Date(v);
+  if (isNaN(d.getTime())) return {};
+  const msLeft = d.getTime() - Date.now();
+  return {
+    expired: msLeft <= 0,
+    expires_at: d.toISOString(),
+    days_remaining: Math.max(0, Math.ceil(msLeft / 86400000))
+  };
+}
+
+/**
+ * Framer user IDs bound to a row: the Framer User ID cell holds one ID per
+ * seat, comma-separated.
+ */
+function boundIds_(cell) {
+  return String(cell || '').split(',').map(x => x.trim()).filter(Boolean);
+}
+
+/**
+ * Bundle named by a row's Plugin Name ({ name, plugins }, from the Config
+ * tab's bundle.<name> keys), or null.
+ */
+function bundleOf_(cfg, pluginName) {
+  return cfg.bundles[norm(pluginName)] || null;
+}
+
+/**
+ * The plugin a row grants for a requested (normalized) plugin name: the
+ * row's own Plugin Name, or the member name if the row is a bundle that
+ * includes the plugin. '' if the row doesn't grant it.
+ */
+function grantedPlugin_(cfg, pluginName, pluginReq) {
+  if (norm(pluginName) === pluginReq) return String(pluginName || '');
+  const bundle = bundleOf_(cfg, pluginName);
+  return (bundle && bundle.plugins.find(name => norm(name) === pluginReq)) || '';
+}
+
+/**
+ * Bindings in a Framer User ID cell: [{ scope, plugin, id, raw }]. Bundle
+ * rows bind each member plugin separately, as "Plugin:ID" entries (scope is
+ * the member name as written, plugin its norm()); unscoped entries apply to
+ * every plugin.
+ */
+function bindings_(cell, isBundle) {
+  return boundIds_(cell).map(raw => {
+    const i = isBundle ? raw.indexOf(':') : -1;
+    const scope = i > 0 ? raw.slice(0, i).trim() : '';
+    return { scope, plugin: norm(scope), id: i > 0 ? raw.slice(i + 1).trim() : raw, raw };
+  });
+}
+
+/**
+ * IDs of the bindings that apply to a plugin ('' = all of them).
+ */
+function idsFor_(bindings, plugin) {
+  const p = norm(plugin);
+  return bindings.filter(b => !p || !b.plugin || b.plugin === p).map(b => b.id);
+}
+
+/**
+ * Cell entry binding id to a bundle member plugin (scope), or to the whole
+ * row without one.
+ */
+function bindingEntry_(scope, id) {
+  return scope ? scope + ':' + id : id;
+}
+
+/**
+ * Seat count of a row: a positive integer Seats cell, otherwise 1.
+ */
+function seatCount_(cell) {
+  const n = parseInt(cell, 10);
+  return n > 0 ? n : 1;
+}
+
+/**
+ * Access code comparison key: Stripe receipt / invoice URLs are reduced to
+ * the ID they end with, then a leading "#", whitespace and dashes are
+ * dropped and case is folded. Same as canonicalCode() in StripeEndpoint.js
+ * — keep both in sync.
+ */
+function canonicalCode_(s) {
+  let v = String(s === null || s === undefined ? '' : s).trim();
+  if (/^(https?:\/\/)?[\w.-]*stripe\.com\//i.test(v)) {
+    const parts = v.replace(/^https?:\/\//i, '').split(/[?#]/)[0].split('/').slice(1).filter(Boolean);
+    const ids   = parts.filter(x => /^[a-z]+_\w+$/i.test(x) && !/^acct_/i.test(x));
+    v = ids.length ? ids[ids.length - 1] : (parts[parts.length - 1] || '');
+  }
+  return v.replace(/^#/, '').replace(/[\s-]+/g, '').toLowerCase();
+}
+
+/**
+ * Canonical codes a row accepts: its Access Code and Alternate Codes.
+ */
+function rowCodes_(accessCode, alternateCodes) {
+  return [accessCode].concat(String(alternateCodes || '').split(','))
+    .map(canonicalCode_)
+    .filter(Boolean);
+}
+
+/**
+ * Normalizes a license key for comparison: uppercase, no whitespace or dashes.
+ *   " grid-7kq2 m9xp-4tzc " → "GRID7KQ2M9XP4TZC"
+ */
+function normalizeLicenseKey_(s) {
+  return String(s || '').toUpperCase().replace(/[\s-]+/g, '');
+}
+
+/**
+ * Checks whether a normalized access code has the shape of a license key
+ * (letters-only prefix + 12 key characters). Returns:
+ *   null  – not a license key (e.g. a receipt number or invoice ID)
+ *   true  – a license key with a valid checksum
+ *   false – a license key with a BAD checksum (mistyped)
+ */
+function licenseKeyChecksumOk_(normalized) {
+  const m = /^[A-Z]{0,8}([2-9A-Z]{12})$/.exec(normalized);
+  if (!m) return null;
+
+  const body = m[1];
+  for (let i = 0; i < body.length; i++) {
+    if (LICENSE_KEY_ALPHABET.indexOf(body[i]) < 0) return null;
+  }
+
+  let sum = 0;
+  for (let i = 0; i < 11; i++) sum += (i + 1) * LICENSE_KEY_ALPHABET.indexOf(body[i]);
+  return LICENSE_KEY_ALPHABET[sum % 31] === body[11];
+}
+
+/**
+ * Builds a header map for the provided sheet:
+ *   { map: { normalizedHeaderName: columnIndex }, header: [rawHeaderValues...] }
+ */
+function getHeaderMap_(sh) {
+  const lastCol = sh.getLastColumn();
+  if (lastCol < 1) throw apiError_('config_error', 'Sheet has no columns');
+  const header = sh.getRange(1, 1, 1, lastCol).getValues()[0];
+  const map = {};
+  header.forEach((h, i) => (map[norm(h)] = i + 1));
+  return { map, header };
+}
+
+/**
+ * Effective configuration for this execution: { sheet_name, columns, ... }.
+ * Throws if the Config tab has errors (missing values or conflicts).
+ */
+function getConfig_(ss) {
+  let rows = getCache_('config:rows');
+  if (!rows) {
+    const sh = ss.getSheetByName(CONFIG_SHEET_NAME);
+    rows = sh && sh.getLastRow() >= 2 ? sh.getRange(2, 1, sh.getLastRow() - 1, 2).getValues() : [];
+    putCache_('config:rows', rows, CACHE_SECONDS);
+  }
+
+  const defaults = { sheet_name: SHEET_NAME, products: {}, metadata: METADATA_KEYS, columns: COLUMN_HEADERS, bundles: {} };
+  const parsed   = parseConfigRows_(rows, defaults);
+  if (parsed.warnings.length) Logger.log('Config warnings: ' + parsed.warnings.join('; '));
+  if (parsed.errors.length) throw apiError_('config_error', 'Invalid ' + CONFIG_SHEET_NAME + ' tab: ' + parsed.errors.join('; '));
+  return parsed.config;
+}
+
+/**
+ * Applies Config tab rows ([[key, value], ...]) to the defaults and
+ * validates them. Same rules as parseConfigRows() in StripeEndpoint.js —
+ * keep both in sync.
+ *
+ * @returns {{config: Object, errors: string[], warnings: string[]}}
+ */
+function parseConfigRows_(rows, defaults) {
+  const config = {
+    sheet_name: defaults.sheet_name,
+    products:   Object.assign({}, defaults.products),
+    metadata:   Object.assign({}, defaults.metadata),
+    columns:    Object.assign({}, defaults.columns),
+    bundles:    Object.assign({}, defaults.bundles)
+  };
+  const errors   = [];
+  const warnings = [];
+  const seen     = {};
+  const has      = (o, k) => Object.prototype.hasOwnProperty.call(o, k);
+
+  rows.forEach((r, i) => {
+    const key   = String(r[0] || '').trim();
+    const value = String(r[1] === null || r[1] === undefined ? '' : r[1]).trim();
+    if (!key || key.charAt(0) === '#') return;
+
+    const where   = key + ' (row ' + (i + 2) + ')';
+    const dot     = key.indexOf('.');
+    const section = dot < 0 ? '' : key.slice(0, dot).trim().toLowerCase();
+    // Product IDs are case-sensitive; every other name is not
+    const name    = dot < 0 ? key.toLowerCase() : key.slice(dot + 1).trim();
+    const field   = section === 'product' ? name : name.toLowerCase();
+    const id      = section + '.' + field;
+
+    if (has(seen, id)) {
+      if (seen[id] !== value) errors.push('Conflicting values for ' + where + ': "' + seen[id] + '" and "' + value + '"');
+      return;
+    }
+    seen[id] = value;
+
+    if (!value) {
+      errors.push('Missing value for ' + where);
+    } else if (!section && field === 'sheet_name') {
+      config.sheet_name = value;
+    } else if (section === 'product' && field) {
+      if (!/^prod_/.test(field)) warnings.push('Product key ' + where + ' is not a prod_... ID');
+      config.products[field] = value;
+    } else if (section === 'metadata' && has(defaults.metadata, field)) {
+      config.metadata[field] = value.split(',').map(x => x.trim()).filter(Boolean);
+    } else if (section === 'column' && has(defaults.columns, field)) {
+      config.columns[field] = value;
+    } else if (section === 'bundle' && norm(name)) {
+      if (has(config.bundles, norm(name))) errors.push('Bundle ' + where + ' is defined twice');
+      config.bundles[norm(name)] = { name, plugins: value.split(',').map(x => x.trim()).filter(Boolean) };
+    } else {
+      warnings.push('Unknown key ' + where + ' is ignored');
+    }
+  });
+
+  const byHeader = {};
+  Object.keys(config.columns).forEach(field => {
+    const k = norm(config.columns[field]);
+    if (has(byHeader, k)) {
+      errors.push('column.' + byHeader[k] + ' and column.' + field + ' both use the header "' + config.columns[field] + '"');
+    } else {
+      byHeader[k] = field;
+    }
+  });
+
+  const byMetaKey = {};
+  Object.keys(config.metadata).forEach(field => {
+    config.metadata[field].forEach(metaKey => {
+      if (has(byMetaKey, metaKey) && byMetaKey[metaKey] !== field) {
+        errors.push('metadata.' + byMetaKey[metaKey] + ' and metadata.' + field + ' both read "' + metaKey + '"');
+      } else {
+        byMetaKey[metaKey] = field;
+      }
+    });
+  });
+
+  Object.keys(config.bundles).forEach(k => {
+    const bundle = config.bundles[k];
+    if (!bundle.plugins.length) errors.push('Bundle bundle.' + bundle.name + ' has no plugins');
+    bundle.plugins.forEach(plugin => {
+      if (has(config.bundles, norm(plugin))) {
+        errors.push('Bundle bundle.' + bundle.name + ' includes "' + plugin + '", which is a bundle');
+      }
+    });
+  });
+
+  return { config, errors, warnings };
+}
+
+/**
+ * Reads num rows of the given fields' columns, from data row 2 (or firstRow):
+ *   { field: [value per row] }, null for fields whose column is missing.
+ *
+ * @param {Function} col field → column index (0 if missing), from the header map.
+ */
+function readColumns_(sh, col, num, fields, firstRow) {
+  const out = {};
+  fields.forEach(field => {
+    const c = col(field);
+    out[field] = c ? sh.getRange(firstRow || 2, c, num, 1).getValues().flat() : null;
+  });
+  return out;
+}
+
+/**
+ * Like readColumns_, for the given rows only (1-based row numbers):
+ * one range read per row instead of one per column.
+ *
+ * @param {number} lastCol number of header columns.
+ */
+function readRows_(sh, rowNumbers, col, fields, lastCol) {
+  const rows = rowNumbers.map(r => sh.getRange(r, 1, 1, lastCol).getValues()[0]);
+  const out  = {};
+  fields.forEach(field => {
+    const c = col(field);
+    out[field] = c ? rows.map(r => r[c - 1]) : null;
+  });
+  return out;
+}
+
+/**
+ * Version and ID of the current request, set by doGet:
+ *   { v: 1 | 2, id: request_id, test: may use test purchases }
+ */
+let API_REQUEST = null;
+
+/**
+ * Error response: { ok: false, code, error }. `code` (see API_CODES) only
+ * shows in v=2 responses; `message` (default: error) is the v=2 text.
+ */
+function errorRes_(code, error, message) {
+  const res = { ok: false, code, error };
+  if (message) res.message = message;
+  return res;
+}
+
+/**
+ * Error carrying an API code, for failures deep in helpers; caught and
+ * answered with exceptionRes_.
+ */
+function apiError_(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Error response for a caught exception. v1 keeps String(err) as `error`;
+ * exceptions without a code are internal_error.
+ */
+function exceptionRes_(err) {
+  return errorRes_((err && err.code) || 'internal_error', String(err), err && err.message);
+}
+
+/**
+ * The v=2 form of a response object (see API_CODES).
+ */
+function toApiV2_(obj) {
+  const code = !obj.ok ? (obj.code || 'internal_error') : ((obj.valid === false && obj.reason) || 'ok');
+  const def  = API_CODES[code] || API_CODES.internal_error;
+  const out  = {
+    v: 2,
+    ok: def[0] < 400,
+    status: def[0],
+    code,
+    message: obj.message || obj.error || def[1],
+    request_id: API_REQUEST ? API_REQUEST.id : ''
+  };
+  Object.keys(obj).forEach(k => {
+    if (['ok', 'code', 'error', 'reason', 'message'].indexOf(k) < 0) out[k] = obj[k];
+  });
+  return out;
+}
+
+/**
+ * Helper for sending JSON or JSONP responses.
+ *
+ * - obj:      JavaScript object to serialize (v1 format; converted for v=2).
+ * - callback: optional JSONP callback name.
+ */
+function respond_(obj, callback) {
+  if (AUDIT_ENTRY) AUDIT_ENTRY.response = obj; // the last response is the outcome
+
+  let out = obj;
+  if (API_REQUEST && API_REQUEST.v === 2) {
+    out = toApiV2_(obj);
+  } else if (!obj.ok) {
+    out = Object.assign({}, obj); // v1 errors carry just the error text
+    delete out.code;
+    delete out.message;
+  }
+
+  if (callback) {
+    return ContentService.createTextOutput(
+      `${callback}(${JSON.stringify(out)});`
+    ).setMimeType(ContentService.MimeType.JAVASCRIPT);
+  }
+  return ContentService.createTextOutput(JSON.stringify(out))
+    .setMimeType(ContentService.MimeType.JSON);
+}
+
+/**
+ * Simple in-memory + Apps Script cache wrapper.
+ *
+ * - MEMO: local in-memory cache for a single execution.
+ * - CacheService: cross-execution cache (for CACHE_SECONDS).
+ */
+const MEMO = {};
+
+function getCache_(key) {
+  key = cacheKey_(key);
+  if (MEMO[key]) return MEMO[key];
+  const cache = CacheService.getScriptCache();
+  const raw = cache.get(key);
+  if (!raw) return null;
+  const val = JSON.parse(raw);
+  MEMO[key] = val;
+  return val;
+}
+
+function putCache_(key, value, seconds) {
+  key = cacheKey_(key);
+  MEMO[key] = value;
+  CacheService.getScriptCache().put(key, JSON.stringify(value), seconds);
+}
+
+/************** Tenants **************/
+
+/**
+ * Tenant of the current request (see TENANTS), set by doGet:
+ *   { id ('' = default), spreadsheet_id, license_token_secret, admin_key }
+ * Editor functions and triggers run for each tenant (see forEachTenant_).
+ */
+let TENANT = tenant_('');
+
+/**
+ * Settings of a tenant ID ('' = the default tenant), or null if there is no
+ * such tenant.
+ */
+function tenant_(id) {
+  if (id && !Object.prototype.hasOwnProperty.call(TENANTS, id)) return null;
+  const spreadsheetId = id ? TENANTS[id].spreadsheet_id : SPREADSHEET_ID;
+  if (!spreadsheetId) return null;
+  return {
+    id,
+    spreadsheet_id:       spreadsheetId,
+    license_token_secret: id ? tenantProperty_('LICENSE_TOKEN_SECRET', id) : LICENSE_TOKEN_SECRET,
+    admin_key:            id ? tenantProperty_('ADMIN_KEY', id) : ADMIN_KEY
+  };
+}
+
+/**
+ * A tenant's own script property ("<NAME>.<id>"), '' if unset.
+ */
+function tenantProperty_(name, id) {
+  return PropertiesService.getScriptProperties().getProperty(tenantPropertyName_(name, id)) || '';
+}
+
+function tenantPropertyName_(name, id) {
+  return id ? name + '.' + id : name;
+}
+
+/**
+ * Runs fn once per tenant (the default one first, if enabled) with TENANT
+ * set to it.
+ */
+function forEachTenant_(fn) {
+  [''].concat(Object.keys(TENANTS)).map(tenant_).filter(Boolean).forEach(t => {
+    TENANT = t;
+    fn(t);
+  });
+}
+
+/**
+ * Opens the current tenant's spreadsheet.
+ */
+function openSpreadsheet_() {
+  return SpreadsheetApp.openById(TENANT.spreadsheet_id);
+}
+
+/**
+ * Cache key in the current tenant's namespace (the default tenant's keys
+ * have no prefix).
+ */
+function cacheKey_(key) {
+  return TENANT && TENANT.id ? 'tenant:' + TENANT.id + ':' + key : key;
+}
+
+/************** Lookup Index **************/
+
+/**
+ * Data version of the purchases sheet: a random token in META_SHEET_NAME!B1
+ * that changes after every write that can change a verify answer
+ * (StripeEndpoint.js upserts, binds, unbinds / transfers). Verify responses
+ * and the lookup index are cached under it, so one write invalidates both.
+ * Read it BEFORE reading purchase rows: data read afterwards is never older
+ * than the version it is cached under.
+ */
+function dataVersion_(ss) {
+  const sh = ss.getSheetByName(META_SHEET_NAME);
+  return sh ? String(sh.getRange(1, 2).getValue() || '0') : '0';
+}
+
+/**
+ * Gives the purchases sheet a new data version. Same cell and format as
+ * bumpDataVersion() in StripeEndpoint.js — keep both in sync.
+ */
+function bumpDataVersion_(ss) {
+  let sh = ss.getSheetByName(META_SHEET_NAME);
+  if (!sh) {
+    sh = ss.insertSheet(META_SHEET_NAME);
+    sh.hideSheet();
+  }
+  const version = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+  sh.getRange(1, 1, 1, 2).setValues([['data_version', version]]);
+}
+
+/**
+ * Run from the Apps Script editor after editing the purchases sheet by hand:
+ * drops every cached verify response and the lookup index (of every tenant).
+ */
+function invalidateVerifierCache() {
+  forEachTenant_(() => bumpDataVersion_(openSpreadsheet_()));
+}
+
+/**
+ * Lookup index key of an email + canonical access code ('c', see
+ * rowCodes_) or email + normalized license key ('k').
+ */
+function indexKey_(kind, email, code) {
+  return kind + ' ' + email + ' ' + code;
+}
+
+/**
+ * Index chunk of a key (FNV-1a hash), so a lookup only fetches the chunks
+ * of its own keys.
+ */
+function indexShard_(key, shards) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < key.length; i++) {
+    h ^= key.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0) % shards;
+}
+
+/**
+ * Row numbers (1-based, ascending) listed under the given index keys.
+ *
+ * The index lives in CacheService as `index2:<version>` ({ shards, last_row })
+ * plus chunks `index2:<version>:<n>` ({ key: [row, ...] }); the number is
+ * INDEX_CACHE_FORMAT, so indexes cached by older code are ignored. It is rebuilt from
+ * the sheet when it is missing (evicted or partly evicted), belongs to an
+ * older data version, covers a different number of rows (rows added by hand),
+ * or when `rebuild` is set.
+ *
+ * @param {Function} col     field → column index, from the header map.
+ * @param {string[]} keys    index keys (see indexKey_).
+ */
+function lookupRows_(sh, col, version, lastRow, keys, rebuild) {
+  const cache  = CacheService.getScriptCache();
+  const prefix = indexCachePrefix_(version);
+  let entries  = null;
+
+  if (!rebuild) {
+    const meta = JSON.parse(cache.get(prefix) || 'null');
+    if (meta && meta.last_row === lastRow) {
+      const shardKeys = keys.map(k => prefix + ':' + indexShard_(k, meta.shards));
+      const stored    = cache.getAll(shardKeys);
+      if (shardKeys.every(k => stored[k])) {
+        entries = {};
+        keys.forEach((k, i) => (entries[k] = JSON.parse(stored[shardKeys[i]])[k]));
+      }
+    }
+  }
+  if (!entries) entries = buildLookupIndex_(sh, col, version, lastRow);
+
+  const rows = {};
+  keys.forEach(k => (entries[k] || []).forEach(r => (rows[r] = true)));
+  return Object.keys(rows).map(Number).sort((a, b) => a - b);
+}
+
+/**
+ * Bump INDEX_CACHE_FORMAT whenever the index keys change (e.g. how codes are
+ * normalized): a deploy then can't read an index built by the previous code.
+ */
+const INDEX_CACHE_FORMAT = 2;
+
+function indexCachePrefix_(version) {
+  return cacheKey_('index' + INDEX_CACHE_FORMAT + ':' + version);
+}
+
+/**
+ * Reads the email, access code (and alternate codes) and license key
+ * columns, caches the index in chunks of about INDEX_SHARD_BYTES and returns
+ * all of its entries.
+ */
+function buildLookupIndex_(sh, col, version, lastRow) {
+  const num     = lastRow - 1;
+  const vals    = readColumns_(sh, col, num, ['client_email', 'access_code', 'alternate_codes', 'license_key']);
+  const entries = {};
+  const add = (key, row) => {
+    const rows = entries[key] = entries[key] || [];
+    if (rows[rows.length - 1] !== row) rows.push(row);
+  };
+
+  for (let i = 0; i < num; i++) {
+    const email = String(vals.client_email[i] || '').trim().toLowerCase();
+    if (!email) continue;
+    const codes = rowCodes_(vals.access_code[i], vals.alternate_codes ? vals.alternate_codes[i] : '');
+    const key   = vals.license_key ? normalizeLicenseKey_(vals.license_key[i]) : '';
+    codes.forEach(code => add(indexKey_('c', email, code), i + 2));
+    if (key) add(indexKey_('k', email, key), i + 2);
+  }
+
+  const shards = Math.max(1, Math.ceil(JSON.stringify(entries).length / INDEX_SHARD_BYTES));
+  const parts  = [];
+  for (let n = 0; n < shards; n++) parts.push({});
+  Object.keys(entries).forEach(k => (parts[indexShard_(k, shards)][k] = entries[k]));
+
+  const prefix = indexCachePrefix_(version);
+  const out = {};
+  parts.forEach((part, n) => (out[prefix + ':' + n] = JSON.stringify(part)));
+  out[prefix] = JSON.stringify({ shards, last_row: lastRow });
+  try {
+    CacheService.getScriptCache().putAll(out, INDEX_CACHE_SECONDS);
+  } catch (err) {
+    Logger.log('Lookup index not cached: ' + err); // still answers this request
+  }
+  return entries;
+}
+
+/************** Rate Limiting **************/
+
+/**
+ * Cache keys of the rate-limit counters for the given values
+ * ({ email, access_code, framer_user_id, ... }). Values are hashed, so no
+ * emails or codes end up in cache keys.
+ */
+function rateLimitKeys_(values) {
+  return Object.keys(RATE_LIMIT_MAX_FAILURES)
+    .filter(name => RATE_LIMIT_MAX_FAILURES[name] > 0 && values[name])
+    .map(name => ({ name, key: cacheKey_('rl:' + name + ':' + sha256Hex_(values[name])) }));
+}
+
+/**
+ * Seconds until every given value is out of lockout (0 = not locked).
+ */
+function rateLimitRetryAfter_(values) {
+  const keys = rateLimitKeys_(values).map(k => k.key + ':lock');
+  if (!keys.length) return 0;
+
+  const now    = Math.floor(Date.now() / 1000);
+  const stored = CacheService.getScriptCache().getAll(keys);
+  let retryAfter = 0;
+  keys.forEach(k => {
+    const until = Number(stored[k]) || 0;
+    if (until > now) retryAfter = Math.max(retryAfter, until - now);
+  });
+  return retryAfter;
+}
+
+/**
+ * Counts one failed check against each given value. A value that reaches
+ * its limit within RATE_LIMIT_WINDOW_SECONDS is locked out and its counter
+ * starts over. Counters are read-modify-write without a lock, so concurrent
+ * failures may occasionally be counted once.
+ */
+function recordRateLimitFailure_(values) {
+  const keys = rateLimitKeys_(values);
+  if (!keys.length) return;
+
+  const cache  = CacheService.getScriptCache();
+  const now    = Math.floor(Date.now() / 1000);
+  const stored = cache.getAll(keys.map(k => k.key));
+  const counters = {};
+
+  keys.forEach(({ name, key }) => {
+    const max = RATE_LIMIT_MAX_FAILURES[name];
+    let times = [];
+    try { times = JSON.parse(stored[key] || '[]'); } catch (_) {}
+    times = times.filter(t => t > now - RATE_LIMIT_WINDOW_SECONDS).concat([now]).slice(-max);
+
+    if (times.length >= max) {
+      cache.put(key + ':lock', String(now + RATE_LIMIT_LOCKOUT_SECONDS), RATE_LIMIT_LOCKOUT_SECONDS);
+      times = [];
+    }
+    counters[key] = JSON.stringify(times);
+  });
+
+  cache.putAll(counters, RATE_LIMIT_WINDOW_SECONDS);
+}
+
+/************** Unbind / Transfer **************/
+
+/**
+ * Constant-time comparison of a supplied admin key with the tenant's
+ * ADMIN_KEY.
+ */
+function isAdminKey_(key) {
+  const a        = String(key || '');
+  const adminKey = TENANT.admin_key;
+  if (!adminKey || !a) return false;
+  let diff = a.length ^ adminKey.length;
+  for (let i = 0; i < adminKey.length; i++) {
+    diff |= adminKey.charCodeAt(i) ^ a.charCodeAt(i % a.length);
+  }
+  return diff === 0;
+}
+
+/**
+ * action=unbind / action=transfer
+ *
+ * Customers prove ownership with email + access_code (or license key) +
+ * their current framer_user_id; admins pass admin_key instead of the current
+ * ID (without framer_user_id, unbind clears every seat).
+ *
+ *   unbind:   removes framer_user_id from the purchase's bound IDs
+ *   transfer: replaces framer_user_id with new_framer_user_id
+ *
+ * Both count towards TRANSFER_MAX_PER_PURCHASE / TRANSFER_COOLDOWN_SECONDS
+ * (not enforced for admins), run under the script lock, and invalidate
+ * cached verify responses (see bumpDataVersion_).
+ *
+ * @param {Object} p   Request parameters.
+ * @param {Object} req { email, code, codeKey, keyCheck, fid, pluginReq } from doGet.
+ * @param {Function} fail Responds with a failure that counts towards rate limits.
+ */
+function transferPurchase_(p, req, fail, cb) {
+  const action = p.action;
+  const admin  = isAdminKey_(p.admin_key);
+  const newFid = String(p.new_framer_user_id || '').trim();
+  const fid    = req.fid;
+
+  if (p.admin_key && !admin) {
+    return fail({ ok: true, valid: false, bound: false, reason: 'invalid_admin_key' });
+  }
+  if (!admin && !fid) {
+    return respond_(errorRes_('bad_request', action + ' requires framer_user_id (or admin_key)'), cb);
+  }
+  if (action === 'transfer' && !newFid) {
+    return respond_(errorRes_('bad_request', 'transfer requires new_framer_user_id'), cb);
+  }
+  if (action === 'transfer' && !fid) {
+    return respond_(errorRes_('bad_request', 'transfer requires framer_user_id'), cb);
+  }
+
+  const ss  = openSpreadsheet_();
+  const cfg = getConfig_(ss);
+  const sh  = ss.getSheetByName(cfg.sheet_name);
+  if (!sh) {
+    return respond_(errorRes_('config_error', 'Sheet "' + cfg.sheet_name + '" not found'), cb);
+  }
+
+  const lastRow = sh.getLastRow();
+  const { map } = getHeaderMap_(sh);
+  const col = (field) => map[norm(cfg.columns[field])] || 0;
+  const cEmail = col('client_email'), cCode = col('access_code'), cPlugin = col('plugin_name');
+  const cFuid = col('framer_user_id'), cKey = col('license_key'), cSeats = col('seats');
+  if (!cEmail || !cCode || !cPlugin || !cFuid) {
+    return respond_(errorRes_('config_error', 'Expected "' + cfg.columns.client_email + '", "' + cfg.columns.access_code +
+      '", "' + cfg.columns.plugin_name + '" and "' + cfg.columns.framer_user_id + '" columns'), cb);
+  }
+  if (lastRow < 2) {
+    return fail({ ok: true, valid: false, bound: false, reason: 'not_found' });
+  }
+
+  // Rows matching email + access_code (or license key), narrowed by plugin
+  const vals = sh.getRange(2, 1, lastRow - 1, sh.getLastColumn()).getValues();
+  let matches = [];
+  const cAlt = col('alternate_codes');
+  vals.forEach((r, i) => {
+    const keyMatch = cKey && req.keyCheck ? normalizeLicenseKey_(r[cKey - 1]) === req.codeKey : false;
+    if (String(r[cEmail - 1] || '').trim().toLowerCase() === req.email &&
+        (rowCodes_(r[cCode - 1], cAlt ? r[cAlt - 1] : '').indexOf(req.code) >= 0 || keyMatch)) {
+      matches.push(i);
+    }
+  });
+  if (!matches.length) {
+    return fail({ ok: true, valid: false, bound: false, reason: 'not_found' });
+  }
+  if (req.pluginReq) {
+    matches = matches.filter(i => grantedPlugin_(cfg, vals[i][cPlugin - 1], req.pluginReq));
+    if (!matches.length) return respond_({ ok: true, valid: false, bound: false, reason: 'wrong_plugin' }, cb);
+  }
+
+  // Bundle rows only move the requested plugin's bindings
+  const bundleOf = (i) => bundleOf_(cfg, vals[i][cPlugin - 1]);
+  const scopeOf  = (i) => req.pluginReq && bundleOf(i) ? norm(req.pluginReq) : '';
+  const inScope  = (b, scope) => !scope || !b.plugin || b.plugin === scope;
+
+  // The owner's row is the one bound to the current ID
+  let idx = fid
+    ? matches.find(i => idsFor_(bindings_(vals[i][cFuid - 1], !!bundleOf(i)), scopeOf(i)).indexOf(fid) >= 0)
+    : matches[0];
+  if (idx === undefined) {
+    return respond_({ ok: true, valid: false, bound: true, reason: 'not_bound_to_user' }, cb);
+  }
+  const rowNumber = idx + 2;
+  const bundle    = bundleOf(idx);
+  const scope     = scopeOf(idx);
+  const plugin    = scope ? grantedPlugin_(cfg, vals[idx][cPlugin - 1], scope) : String(vals[idx][cPlugin - 1] || '');
+
+  let lock = null;
+  try {
+    lock = LockService.getScriptLock();
+    lock.waitLock(5000);
+
+    const cCount = ensureColumn_(sh, map, cfg.columns.transfer_count);
+    const cLast  = ensureColumn_(sh, map, cfg.columns.last_transfer_at);
+
+    const fuidCell = sh.getRange(rowNumber, cFuid);
+    const entries  = bindings_(fuidCell.getValue(), !!bundle);
+    const ids      = idsFor_(entries, scope);
+    auditNote_({ existing: ids, plugin });
+    const count    = Number(sh.getRange(rowNumber, cCount).getValue()) || 0;
+    const last     = sh.getRange(rowNumber, cLast).getValue();
+    const seats    = seatCount_(cSeats ? sh.getRange(rowNumber, cSeats).getValue() : '');
+
+    if (fid && ids.indexOf(fid) < 0) {
+      return respond_({ ok: true, valid: false, bound: ids.length > 0, reason: 'not_bound_to_user' }, cb);
+    }
+    if (action === 'transfer' && ids.indexOf(newFid) >= 0) {
+      return respond_({ ok: true, valid: false, bound: true, reason: 'already_bound' }, cb);
+    }
+
+    if (!admin) {
+      if (TRANSFER_MAX_PER_PURCHASE > 0 && count >= TRANSFER_MAX_PER_PURCHASE) {
+        return respond_({ ok: true, valid: false, bound: true, reason: 'transfer_limit_reached', transfers_used: count }, cb);
+      }
+      const lastMs = last instanceof Date ? last.getTime() : (last ? new Date(last).getTime() : 0);
+      const wait   = lastMs ? Math.ceil((lastMs + TRANSFER_COOLDOWN_SECONDS * 1000 - Date.now()) / 1000) : 0;
+      if (wait > 0) {
+        return respond_({ ok: true, valid: false, bound: true, reason: 'transfer_cooldown', retry_after: wait }, cb);
+      }
+    }
+
+    // Entries keep their plugin scope; a transfer only swaps the ID
+    let kept;
+    if (action === 'transfer') {
+      kept = entries.map(b => inScope(b, scope) && b.id === fid ? bindingEntry_(b.scope, newFid) : b.raw);
+    } else {
+      kept = entries.filter(b => !inScope(b, scope) || (fid && b.id !== fid)).map(b => b.raw);
+    }
+    const next = idsFor_(bindings_(kept.join(', '), !!bundle), scope);
+
+    fuidCell.setValue(kept.join(', '));
+    sh.getRange(rowNumber, cCount).setValue(count + 1);
+    sh.getRange(rowNumber, cLast).setValue(new Date());
+    if (action === 'transfer') convertTrials_(sh, col, newFid, scope || !bundle ? [plugin] : bundle.plugins);
+    bumpDataVersion_(ss);
+
+    const res = {
+      ok: true,
+      valid: true,
+      bound: next.length > 0,
+      action: action === 'transfer' ? 'transferred' : 'unbound',
+      seats_total: seats,
+      seats_used: next.length,
+      transfers_used: count + 1
+    };
+    if (bundle) res.bundle = bundle.name;
+    return respond_(res, cb);
+  } finally {
+    try { if (lock) lock.releaseLock(); } catch (_) {}
+  }
+}
+
+/**
+ * Column index of a header, appending the header to row 1 if it is missing
+ * (map is the getHeaderMap_() map and is updated). Call under the lock.
+ */
+function ensureColumn_(sh, map, header) {
+  const k = norm(header);
+  if (!map[k]) {
+    const c = sh.getLastColumn() + 1;
+    sh.getRange(1, c).setValue(header);
+    map[k] = c;
+  }
+  return map[k];
+}
+
+/************** Access Code Recovery **************/
+
+/**
+ * The only reply action=recover ever gives (besides a missing email), so
+ * the route can't tell which emails have purchases.
+ */
+const RECOVERY_REPLY = {
+  ok: true,
+  action: 'recover',
+  message: 'If this email has purchases, their access codes have been sent to it.'
+};
+
+/**
+ * action=recover&email=...(&plugin=...)
+ *
+ * Emails the owner the access codes (license keys where present) of their
+ * live purchases. Every request counts towards the recover_email rate
+ * limit and RECOVERY_MAX_PER_MINUTE; what actually happened is only
+ * recorded in the audit log.
+ */
+function recoverAccessCodes_(p, cb) {
+  const email     = String(p.email || '').trim().toLowerCase();
+  const pluginReq = norm(p.plugin || p.plugin_name || '');
+  if (!email) {
+    return respond_(errorRes_('bad_request', 'missing email'), cb);
+  }
+
+  if (rateLimitRetryAfter_({ recover_email: email })) {
+    auditNote_({ reason: 'rate_limited' });
+    return respond_(RECOVERY_REPLY, cb);
+  }
+  recordRateLimitFailure_({ recover_email: email });
+
+  if (recoveryBudgetExceeded_()) {
+    auditNote_({ reason: 'recover_limit' });
+    return respond_(RECOVERY_REPLY, cb);
+  }
+
+  try {
+    auditNote_({ reason: sendRecoveryEmail_(email, pluginReq) });
+  } catch (err) {
+    Logger.log('ERROR recoverAccessCodes_: ' + err);
+    auditNote_({ reason: 'error' });
+  }
+  return respond_(RECOVERY_REPLY, cb);
+}
+
+/**
+ * Counts one action=recover request against this minute's
+ * RECOVERY_MAX_PER_MINUTE and returns true once the minute's budget is
+ * used up. Read-modify-write without a lock, like recordRateLimitFailure_(),
+ * so concurrent requests may occasionally be counted once.
+ */
+function recoveryBudgetExceeded_() {
+  if (!(RECOVERY_MAX_PER_MINUTE > 0)) return false;
+
+  const cache = CacheService.getScriptCache();
+  const key   = cacheKey_('recover:minute:' + Math.floor(Date.now() / 60000));
+  const count = Number(cache.get(key)) || 0;
+  if (count >= RECOVERY_MAX_PER_MINUTE) return true;
+  cache.put(key, String(count + 1), 120);
+  return false;
+}
+
+/**
+ * Finds the email's live purchases (narrowed by plugin), stamps Last
+ * Recovery At on those rows and emails their codes. Only the cooldown
+ * re-check and the stamp hold the script lock, so concurrent requests for
+ * the same email can't both get past the cooldown while the sheet read and
+ * the send don't block other writers.
+ *
+ * @returns {string} Outcome for the audit log: sent, not_found, cooldown or mail_quota.
+ */
+function sendRecoveryEmail_(email, pluginReq) {
+  const ss  = openSpreadsheet_();
+  const cfg = getConfig_(ss);
+  const sh  = ss.getSheetByName(cfg.sheet_name);
+  if (!sh) throw new Error('Sheet "' + cfg.sheet_name + '" not found');
+
+  const lastRow = sh.getLastRow();
+  if (lastRow < 2) return 'not_found';
+
+  const { map } = getHeaderMap_(sh);
+  const col  = (field) => map[norm(cfg.columns[field])] || 0;
+  const vals = readColumns_(sh, col, lastRow - 1, [
+    'client_email', 'access_code', 'plugin_name', 'license_key', 'status', 'expires_at', 'last_recovery_at', 'mode'
+  ]);
+  if (!vals.client_email || !vals.access_code) {
+    throw new Error('Expected "' + cfg.columns.client_email + '" and "' + cfg.columns.access_code + '" columns');
+  }
+  const at = (field, i) => vals[field] ? vals[field][i] : '';
+
+  const rows = [];
+  vals.client_email.forEach((v, i) => {
+    if (String(v || '').trim().toLowerCase() !== email) return;
+    if (pluginReq && !grantedPlugin_(cfg, at('plugin_name', i), pluginReq)) return;
+    if (revocationReason_(at('status', i)) || expiryInfo_(at('expires_at', i)).expired) return;
+    if (testModeBlocked_(at('mode', i))) return;
+    if (!String(at('license_key', i) || at('access_code', i) || '').trim()) return;
+    rows.push(i);
+  });
+  if (!rows.length) return 'not_found';
+
+  const since  = Date.now() - RECOVERY_COOLDOWN_SECONDS * 1000;
+  const recent = (stamps) => stamps.some(v =>
+    (v instanceof Date ? v.getTime() : (v ? new Date(v).getTime() : 0)) > since);
+  if (recent(rows.map(i => at('last_recovery_at', i)))) return 'cooldown';
+  if (MailApp.getRemainingDailyQuota() < 1) return 'mail_quota';
+
+  let lock = null;
+  try {
+    lock = LockService.getScriptLock();
+    lock.waitLock(5000);
+
+    // Re-check the cooldown on the rows that still hold this email (rows
+    // may have moved since the read), then stamp them. Stamp before sending:
+    // if the send fails the cooldown still holds, so a retry storm can't
+    // turn into a burst of emails.
+    const cEmail = col('client_email');
+    const cLast  = ensureColumn_(sh, getHeaderMap_(sh).map, cfg.columns.last_recovery_at);
+    const stamped = rows.filter(i =>
+      String(sh.getRange(i + 2, cEmail).getValue() || '').trim().toLowerCase() === email);
+    if (recent(stamped.map(i => sh.getRange(i + 2, cLast).getValue()))) return 'cooldown';
+
+    const now = new Date();
+    stamped.forEach(i => sh.getRange(i + 2, cLast).setValue(now));
+  } finally {
+    try { if (lock) lock.releaseLock(); } catch (_) {}
+  }
+
+  const codes = rows.map(i => ({
+    plugin: String(at('plugin_name', i) || '').trim() || 'Purchase',
+    code:   String(at('license_key', i) || at('access_code', i)).trim()
+  }));
+  const escape = (v) => String(v)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+
+  MailApp.sendEmail({
+    to: String(vals.client_email[rows[0]]).trim(),
+    subject: RECOVERY_EMAIL_SUBJECT,
+    body: 'Here are the access codes for your purchases:\n\n' +
+      codes.map(c => c.plugin + ': ' + c.code).join('\n'),
+    htmlBody: '<p>Here are the access codes for your purchases:</p><ul>' +
+      codes.map(c => '<li>' + escape(c.plugin) + ': <code>' + escape(c.code) + '</code></li>').join('') +
+      '</ul>'
+  });
+  return 'sent';
+}
+
+/************** Trials **************/
+
+/**
+ * action=trial&framer_user_id=...&plugin=...   (start = true)
+ * framer_user_id + plugin, no email / access_code (start = false)
+ *
+ * Starts a TRIAL_DAYS trial of the plugin for the user, or reports the one
+ * they already have: one trial per user and plugin, ever. Answers carry
+ * trial:true with expires_at and days_remaining; an ended trial answers
+ * reason:'expired', a start for a user who owns the plugin (or whose trial
+ * a purchase took over) reason:'already_purchased'. Checks carry no
+ * credentials, so they only answer an active trial row and say not_found
+ * for everything else, purchases included.
+ * Starts count towards the trial_user / trial_plugin rate limits and
+ * TRIAL_MAX_NEW_PER_DAY, checks towards the framer_user_id rate limit.
+ */
+function trialRequest_(p, start, cb) {
+  const fid       = String(p.framer_user_id || '').trim();
+  const pluginRaw = String(p.plugin || p.plugin_name || '').trim();
+  const plugin    = norm(pluginRaw);
+  if (!fid || !plugin) {
+    return respond_(errorRes_('bad_request', 'trial requires framer_user_id and plugin'), cb);
+  }
+  if (!TRIAL_DAYS) {
+    return respond_(errorRes_('disabled', 'trials are not enabled'), cb);
+  }
+  const limited    = start ? { trial_user: fid, trial_plugin: plugin } : { framer_user_id: fid };
+  const retryAfter = rateLimitRetryAfter_(limited);
+  if (retryAfter) {
+    return respond_({ ok: true, valid: false, bound: false, trial: false, reason: 'rate_limited', retry_after: retryAfter }, cb);
+  }
+  recordRateLimitFailure_(limited);
+
+  const ss  = openSpreadsheet_();
+  const cfg = getConfig_(ss);
+  const sh  = ss.getSheetByName(cfg.sheet_name);
+  if (!sh) {
+    return respond_(errorRes_('config_error', 'Sheet "' + cfg.sheet_name + '" not found'), cb);
+  }
+
+  const { map } = getHeaderMap_(sh);
+  const col = (field) => map[norm(cfg.columns[field])] || 0;
+  if (!col('plugin_name') || !col('framer_user_id')) {
+    return respond_(errorRes_('config_error', 'Expected "' + cfg.columns.plugin_name + '" and "' +
+      cfg.columns.framer_user_id + '" columns'), cb);
+  }
+
+  // The user's trial row and live purchases of this plugin (or of a bundle
+  // including it)
+  const scan = (from, to) => {
+    const found = { trial: 0, purchased: false, name: '' };
+    if (to < from) return found;
+    const vals = readColumns_(sh, col, to - from + 1,
+      ['plugin_name', 'framer_user_id', 'type', 'status', 'expires_at', 'mode'], from);
+    const at = (field, i) => vals[field] ? vals[field][i] : '';
+    for (let i = 0; i <= to - from; i++) {
+      const granted = grantedPlugin_(cfg, at('plugin_name', i), plugin);
+      if (!granted) continue;
+      found.name = found.name || granted.trim();
+      const isBundle = norm(at('plugin_name', i)) !== plugin;
+      if (idsFor_(bindings_(at('framer_user_id', i), isBundle), isBundle ? plugin : '').indexOf(fid) < 0) continue;
+
+      const type = String(at('type', i) || '').trim();
+      if (type === TRIAL_TYPE || type === TRIAL_CONVERTED_TYPE) {
+        found.trial = found.trial || { type, expires: at('expires_at', i) };
+      } else if (!revocationReason_(at('status', i)) && !expiryInfo_(at('expires_at', i)).expired &&
+                 !testModeBlocked_(at('mode', i))) {
+        found.purchased = true;
+      }
+    }
+    return found;
+  };
+
+  const lastRow = sh.getLastRow();
+  const found   = scan(2, lastRow);
+  const name    = TRIAL_PLUGINS.length ? (TRIAL_PLUGINS.find(n => norm(n) === plugin) || '') : found.name;
+  auditNote_({ plugin: found.name || name || pluginRaw, existing: found.trial ? [fid] : '' });
+
+  if (!start) {
+    const trial = found.trial && found.trial.type === TRIAL_TYPE ? found.trial : null;
+    return respond_(trial ? trialResponse_(trial, fid, found.name, '')
+      : { ok: true, valid: false, bound: false, trial: false, reason: 'not_found' }, cb);
+  }
+  if (found.purchased) {
+    return respond_({ ok: true, valid: false, bound: true, trial: false, reason: 'already_purchased' }, cb);
+  }
+  if (found.trial) {
+    return respond_(trialResponse_(found.trial, fid, found.name, ''), cb);
+  }
+  if (!name) {
+    return respond_({ ok: true, valid: false, bound: false, trial: false, reason: 'trial_unavailable' }, cb);
+  }
+
+  let lock = null;
+  try {
+    lock = LockService.getScriptLock();
+    lock.waitLock(5000);
+
+    // A concurrent request may have started the same trial meanwhile
+    const raced = scan(lastRow + 1, sh.getLastRow()).trial;
+    if (raced) return respond_(trialResponse_(raced, fid, name, ''), cb);
+
+    const wait = newTrialRetryAfter_(sh, col);
+    if (wait) {
+      return respond_({ ok: true, valid: false, bound: false, trial: false, reason: 'trial_limit_reached', retry_after: wait }, cb);
+    }
+
+    const cType    = ensureColumn_(sh, map, cfg.columns.type);
+    const cExpires = ensureColumn_(sh, map, cfg.columns.expires_at);
+    const expires  = new Date(Date.now() + TRIAL_DAYS * 86400000);
+    const row      = new Array(sh.getLastColumn()).fill('');
+    row[col('plugin_name') - 1]    = name;
+    row[col('framer_user_id') - 1] = fid;
+    row[cType - 1]    = TRIAL_TYPE;
+    row[cExpires - 1] = expires;
+    sh.appendRow(row);
+    bumpDataVersion_(ss);
+
+    return respond_(trialResponse_({ type: TRIAL_TYPE, expires }, fid, name, 'trial_started'), cb);
+  } finally {
+    try { if (lock) lock.releaseLock(); } catch (_) {}
+  }
+}
+
+/**
+ * Seconds until a new trial fits under TRIAL_MAX_NEW_PER_DAY (0 = now).
+ * A trial started TRIAL_DAYS before its Expires At.
+ */
+function newTrialRetryAfter_(sh, col) {
+  const lastRow = sh.getLastRow();
+  if (!(TRIAL_MAX_NEW_PER_DAY > 0) || lastRow < 2) return 0;
+
+  const vals  = readColumns_(sh, col, lastRow - 1, ['type', 'expires_at']);
+  const since = Date.now() - 86400000;
+  const started = [];
+  (vals.type || []).forEach((t, i) => {
+    const type = String(t || '').trim();
+    if (type !== TRIAL_TYPE && type !== TRIAL_CONVERTED_TYPE) return;
+    const v  = vals.expires_at ? vals.expires_at[i] : '';
+    const at = (v instanceof Date ? v.getTime() : (v ? new Date(v).getTime() : 0)) - TRIAL_DAYS * 86400000;
+    if (at > since) started.push(at);
+  });
+  if (started.length < TRIAL_MAX_NEW_PER_DAY) return 0;
+
+  // Wait until enough of the recent ones have left the window
+  started.sort((a, b) => a - b);
+  const oldest = started[started.length - TRIAL_MAX_NEW_PER_DAY];
+  return Math.max(1, Math.ceil((oldest - since) / 1000));
+}
+
+/**
+ * Answer for a trial row ({ type, expires }); valid ones get a license
+ * token (with an empty email) that expires with the trial.
+ */
+function trialResponse_(trial, fid, plugin, action) {
+  if (trial.type === TRIAL_CONVERTED_TYPE) {
+    return { ok: true, valid: false, bound: true, trial: true, reason: 'already_purchased' };
+  }
+  const expiry = expiryInfo_(trial.expires);
+  if (expiry.expired) {
+    return { ok: true, valid: false, bound: true, trial: true, reason: 'expired', expires_at: expiry.expires_at };
+  }
+  const res = { ok: true, valid: true, bound: true, trial: true, expires_at: expiry.expires_at, days_remaining: expiry.days_remaining };
+  if (action) res.action = action;
+  return withLicenseToken_(res, { plugin, fid, email: '', expiresAt: expiry.expires_at });
+}
+
+/**
+ * Marks the user's trials of the plugins as taken over by a purchase
+ * (Type → TRIAL_CONVERTED_TYPE), so they are left with one entitlement.
+ * The rows are relabeled, not deleted: they still stop the user from
+ * starting another trial once the purchase is refunded or moved away, and
+ * still count towards TRIAL_MAX_NEW_PER_DAY.
+ * Call under the lock, after binding the purchase.
+ *
+ * @param {Function} col field → column index, from the header map.
+ * @param {string[]} plugins the bound plugin, or a bundle's members.
+ */
+function convertTrials_(sh, col, fid, plugins) {
+  const cType = col('type');
+  const num   = sh.getLastRow() - 1;
+  if (!cType || num < 1) return;
+
+  const vals = readColumns_(sh, col, num, ['type', 'plugin_name', 'framer_user_id']);
+  for (let i = 0; i < num; i++) {
+    if (String(vals.type[i] || '').trim() !== TRIAL_TYPE) continue;
+    if (!plugins.some(plugin => norm(plugin) === norm(vals.plugin_name[i]))) continue;
+    if (boundIds_(vals.framer_user_id[i]).indexOf(fid) < 0) continue;
+    sh.getRange(i + 2, cType).setValue(TRIAL_CONVERTED_TYPE);
+  }
+}
+
+/************** Admin API **************/
+
+/**
+ * Admin routes (GET, admin_key required; see ADMIN_KEY):
+ *
+ *   admin=search   paginated purchases matching the filters
+ *   admin=summary  per-plugin count, bound / unbound, latest Paid At (trial
+ *                  rows are only counted in trials)
+ *   admin=export   the filtered purchases as CSV (paginated like search)
+ *
+ * Filters (all optional, combined with AND):
+ *   email=...          case-insensitive substring of Client Email
+ *   access_code=...    Access Code or an Alternate Code (compared like the
+ *                      verifier does), or License Key (case/dashes ignored)
+ *   plugin=...         Plugin Name (compared like the verifier does, so
+ *                      bundles including the plugin match too)
+ *   framer_user_id=... one of the bound IDs (of any bundle plugin)
+ *
+ * Paging: page (1-based, default 1) and page_size (see ADMIN_PAGE_SIZE).
+ */
+function adminRequest_(p, cb) {
+  if (!TENANT.admin_key) {
+    return respond_(errorRes_('disabled', 'admin API is disabled (set the ' +
+      tenantPropertyName_('ADMIN_KEY', TENANT.id) + ' script property)'), cb);
+  }
+  if (!isAdminKey_(p.admin_key)) {
+    return respond_(errorRes_('forbidden', 'forbidden'), cb);
+  }
+  const route = String(p.admin || '').trim();
+  if (['search', 'summary', 'export'].indexOf(route) < 0) {
+    return respond_(errorRes_('bad_request', 'unknown admin route "' + route + '" (search, summary, export)'), cb);
+  }
+
+  const ss  = openSpreadsheet_();
+  const cfg = getConfig_(ss);
+  const sh  = ss.getSheetByName(cfg.sheet_name);
+  if (!sh) {
+    return respond_(errorRes_('config_error', 'Sheet "' + cfg.sheet_name + '" not found'), cb);
+  }
+
+  const { map } = getHeaderMap_(sh);
+  const col    = (field) => map[norm(cfg.columns[field])] || 0;
+  const fields = Object.keys(cfg.columns).filter(field => col(field));
+  const num    = Math.max(0, sh.getLastRow() - 1);
+  const vals   = num ? readColumns_(sh, col, num, fields) : {};
+  const get    = (field, i) => vals[field] ? vals[field][i] : '';
+
+  // Filters
+  const fEmail  = String(p.email || '').trim().toLowerCase();
+  const fCode   = canonicalCode_(p.access_code);
+  const fKey    = normalizeLicenseKey_(fCode);
+  const fPlugin = norm(p.plugin || p.plugin_name || '');
+  const fFid    = String(p.framer_user_id || '').trim();
+
+  const matched = [];
+  for (let i = 0; i < num; i++) {
+    if (fEmail && String(get('client_email', i) || '').toLowerCase().indexOf(fEmail) < 0) continue;
+    if (fCode && rowCodes_(get('access_code', i), get('alternate_codes', i)).indexOf(fCode) < 0 &&
+        !(fKey && normalizeLicenseKey_(get('license_key', i)) === fKey)) continue;
+    if (fPlugin && !grantedPlugin_(cfg, get('plugin_name', i), fPlugin)) continue;
+    if (fFid && !bindings_(get('framer_user_id', i), !!bundleOf_(cfg, get('plugin_name', i))).some(b => b.id === fFid)) continue;
+    matched.push(i);
+  }
+
+  if (route === 'summary') {
+    const byPlugin = {};
+    matched.forEach(i => {
+      const name = String(get('plugin_name', i) || '').trim();
+      const k    = norm(name);
+      const s    = byPlugin[k] || (byPlugin[k] = { plugin: name, count: 0, bound: 0, unbound: 0, trials: 0, latest_paid_at: null });
+      const paid = get('paid_at', i);
+      const type = String(get('type', i) || '').trim();
+
+      if (type === TRIAL_TYPE || type === TRIAL_CONVERTED_TYPE) {
+        s.trials++;
+        return;
+      }
+      s.count++;
+      if (boundIds_(get('framer_user_id', i)).length) s.bound++; else s.unbound++;
+      if (paid instanceof Date && (!s.latest_paid_at || paid > s.latest_paid_at)) s.latest_paid_at = paid;
+    });
+    const plugins = Object.keys(byPlugin).sort().map(k => Object.assign({}, byPlugin[k], {
+      latest_paid_at: byPlugin[k].latest_paid_at ? byPlugin[k].latest_paid_at.toISOString() : null
+    }));
+    return respond_({ ok: true, total: matched.length, plugins }, cb);
+  }
+
+  // search / export: one page of the matches
+  const maxSize  = route === 'export' ? ADMIN_MAX_EXPORT : ADMIN_MAX_PAGE_SIZE;
+  const pageSize = Math.min(maxSize, parseInt(p.page_size, 10) || (route === 'export' ? ADMIN_MAX_EXPORT : ADMIN_PAGE_SIZE));
+  const pages    = Math.max(1, Math.ceil(matched.length / pageSize));
+  const page     = Math.min(pages, Math.max(1, parseInt(p.page, 10) || 1));
+  const slice    = matched.slice((page - 1) * pageSize, page * pageSize);
+  const cell     = (v) => v instanceof Date ? v.toISOString() : v;
+
+  if (route === 'export') {
+    const quote = (v) => {
+      let text = String(v === null || v === undefined ? '' : v);
+      // Customer-supplied values must not run as formulas when the CSV is opened
+      if (/^[=+\-@]/.test(text)) text = "'" + text;
+      return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    };
+    const lines = [['Row'].concat(fields.map(field => cfg.columns[field])).map(quote).join(',')];
+    slice.forEach(i => lines.push([i + 2].concat(fields.map(field => cell(get(field, i)))).map(quote).join(',')));
+
+    return ContentService.createTextOutput(lines.join('\r\n') + '\r\n')
+      .setMimeType(ContentService.MimeType.CSV)
+      .downloadAsFile('purchases-page-' + page + '.csv');
+  }
+
+  const results = slice.map(i => {
+    const r = { row: i + 2 };
+    fields.forEach(field => (r[field] = cell(get(field, i))));
+    r.framer_user_ids = boundIds_(get('framer_user_id', i));
+    return r;
+  });
+  return respond_({ ok: true, total: matched.length, page, page_size: pageSize, pages, results }, cb);
+}
+
+/************** Health **************/
+
+/**
+ * action=health: which Stripe modes the purchases sheet holds (trials not
+ * counted) and which ones this request may use (see TEST_PURCHASES). With
+ * admin_key, `details` adds purchases and latest Paid At per mode; without
+ * it the answer reveals neither counts nor times. Cached per data version;
+ * not audited.
+ */
+function healthRequest_(p, cb) {
+  const ss  = openSpreadsheet_();
+  const cfg = getConfig_(ss);
+  const sh  = ss.getSheetByName(cfg.sheet_name);
+  if (!sh) {
+    return respond_(errorRes_('config_error', 'Sheet "' + cfg.sheet_name + '" not found'), cb);
+  }
+
+  const cacheKey = 'health:' + dataVersion_(ss);
+  let modes = getCache_(cacheKey);
+  if (!modes) {
+    modes = { live: { purchases: 0, last_paid_at: '' }, test: { purchases: 0, last_paid_at: '' } };
+    const lastRow = sh.getLastRow();
+    if (lastRow >= 2) {
+      const { map } = getHeaderMap_(sh);
+      const col  = (field) => map[norm(cfg.columns[field])] || 0;
+      const vals = readColumns_(sh, col, lastRow - 1, ['mode', 'paid_at', 'type']);
+      const at   = (field, i) => vals[field] ? vals[field][i] : '';
+      for (let i = 0; i < lastRow - 1; i++) {
+        const type = String(at('type', i) || '').trim();
+        if (type === TRIAL_TYPE || type === TRIAL_CONVERTED_TYPE) continue;
+        const m    = modes[String(at('mode', i) || '').trim().toLowerCase() === 'test' ? 'test' : 'live'];
+        const paid = at('paid_at', i);
+        m.purchases++;
+        if (paid instanceof Date && (!m.last_paid_at || paid.toISOString() > m.last_paid_at)) {
+          m.last_paid_at = paid.toISOString();
+        }
+      }
+    }
+    putCache_(cacheKey, modes, CACHE_SECONDS);
+  }
+
+  const res = {
+    ok: true,
+    message: 'Verifier endpoint is live.',
+    accepts: API_REQUEST.test ? ['live', 'test'] : ['live'],
+    test_purchases: TEST_PURCHASES,
+    modes: { live: modes.live.purchases > 0, test: modes.test.purchases > 0 }
+  };
+  if (isAdminKey_(p.admin_key)) res.details = modes;
+  return respond_(res, cb);
+}
+
+/************** Audit Log **************/
+
+const AUDIT_HEADERS = [
+  'Timestamp', 'Email Hash', 'Plugin', 'Requested Framer ID', 'Existing Framer IDs',
+  'Route', 'Action', 'Reason', 'Valid', 'Cached'
+];
+const AUDIT_BUFFER_KEY          = 'audit:buffer:';
+const AUDIT_BUFFER_TTL_SECONDS  = 21600; // CacheService maximum
+const AUDIT_FLUSH_DELAY_MINUTES = 2;     // leaves the current minute (and clock skew) alone
+
+/** Audit entry of the current request (see startAudit_ / finishAudit_). */
+let AUDIT_ENTRY = null;
 
 /**
- * Google Sheet configuration
- *
- * - SPREADSHEET_ID:
- *     Open your target Google Sheet → URL looks like:
- *     https://docs.google.com/spreadsheets/d/<THIS_IS_YOUR_ID>/edit
- *     Copy that ID string and paste it below.
- *
- * - SHEET_NAME:
- *     Name of the worksheet/tab that contains your purchase records.
+ * Starts the audit entry for a request. Admin API and health requests are
+ * not logged.
  */
-const SPREADSHEET_ID = 'YOUR_SPREADSHEET_ID_HERE';
-const SHEET_NAME     = 'Purchases';
+function startAudit_(p) {
+  if (p.admin || p.action === 'health') {
+    AUDIT_ENTRY = null;
+    return;
+  }
+  const fid    = String(p.framer_user_id || '').trim();
+  const newFid = String(p.new_framer_user_id || '').trim();
+  AUDIT_ENTRY = {
+    at:        new Date(),
+    email:     String(p.email || '').trim() ? hashEmail_(p.email) : '',
+    plugin:    String(p.plugin || p.plugin_name || '').trim(),
+    requested: newFid ? fid + ' → ' + newFid : fid,
+    existing:  '',
+    route:     p.action || (p.bind == '1' ? 'bind' : 'verify'),
+    cached:    false,
+    reason:    '', // overrides the response's reason (e.g. recover)
+    response:  null
+  };
+}
 
 /**
- * Caching configuration
- *
- * - CACHE_SECONDS:
- *     Number of seconds to cache successful verification responses
- *     (when no bind/write is requested). This reduces read-load on
- *     your sheet and speeds up repeated checks.
+ * Adds what the request found out (existing IDs, plugin, cache hit, ...)
+ * to the current audit entry.
  */
-const CACHE_SECONDS  = 300; // 5 minutes
+function auditNote_(fields) {
+  if (AUDIT_ENTRY) Object.assign(AUDIT_ENTRY, fields);
+}
 
-/************** Utilities **************/
+/**
+ * Queues the current audit entry. Never throws: logging must not change
+ * the response.
+ */
+function finishAudit_() {
+  const entry = AUDIT_ENTRY;
+  AUDIT_ENTRY = null;
+  if (!entry || !entry.response) return;
+
+  try {
+    const res = entry.response;
+    appendAuditRows_([[
+      entry.at.toISOString(),
+      entry.email,
+      entry.plugin,
+      entry.requested,
+      Array.isArray(entry.existing) ? entry.existing.join(', ') : entry.existing,
+      entry.route,
+      res.action || '',
+      entry.reason || res.reason || res.error || '',
+      res.valid === undefined ? '' : !!res.valid,
+      entry.cached
+    ]]);
+  } catch (err) {
+    Logger.log('Audit log failed: ' + err);
+  }
+}
 
 /**
- * Normalizes a string for comparison:
- * - Lowercases
- * - Strips non-alphanumeric characters
+ * Adds rows to a cache buffer of the current minute, under the script lock
+ * (a short cache read and write). Buffers are tried from a random shard on,
+ * so concurrent requests rarely want the same one. If the lock is busy or
+ * every shard of the minute is full, the rows are appended straight to the
+ * sheet (appendRow is atomic): entries are never dropped.
  */
-function norm(s) {
-  return String(s || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+function appendAuditRows_(rows) {
+  const lock = LockService.getScriptLock();
+  if (lock.tryLock(1000)) {
+    try {
+      const cache  = CacheService.getScriptCache();
+      const minute = auditMinute_(Date.now());
+      const start  = Math.floor(Math.random() * AUDIT_BUFFER_SHARDS);
+      for (let i = 0; i < AUDIT_BUFFER_SHARDS; i++) {
+        const key    = auditBufferKey_(minute, (start + i) % AUDIT_BUFFER_SHARDS);
+        const buffer = JSON.stringify(JSON.parse(cache.get(key) || '[]').concat(rows));
+        if (buffer.length > AUDIT_BUFFER_MAX_BYTES) continue;
+        cache.put(key, buffer, AUDIT_BUFFER_TTL_SECONDS);
+        return;
+      }
+    } finally {
+      lock.releaseLock();
+    }
+  }
+
+  const sh = getAuditSheet_();
+  rows.forEach(r => sh.appendRow(auditSheetRow_(r)));
 }
 
 /**
- * Builds a header map for the provided sheet:
- *   { map: { normalizedHeaderName: columnIndex }, header: [rawHeaderValues...] }
+ * Time-driven trigger: writes buffered audit entries to the sheet (of
+ * every tenant). Only minutes that are over are flushed, so no request can
+ * still be adding to a buffer while it is written and removed.
  */
-function getHeaderMap_(sh) {
-  const lastCol = sh.getLastColumn();
-  if (lastCol < 1) throw new Error('Sheet has no columns');
-  const header = sh.getRange(1, 1, 1, lastCol).getValues()[0];
-  const map = {};
-  header.forEach((h, i) => (map[norm(h)] = i + 1));
-  return { map, header };
+function flushAuditLog() {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) return; // next run picks them up
+
+  try {
+    const cache = CacheService.getScriptCache();
+    const last  = auditMinute_(Date.now()) - AUDIT_FLUSH_DELAY_MINUTES;
+    const first = last - Math.ceil(AUDIT_BUFFER_TTL_SECONDS / 60);
+    forEachTenant_(() => {
+      const keys = [];
+      for (let m = first; m <= last; m++) {
+        for (let n = 0; n < AUDIT_BUFFER_SHARDS; n++) keys.push(auditBufferKey_(m, n));
+      }
+      const stored = {};
+      for (let i = 0; i < keys.length; i += 500) Object.assign(stored, cache.getAll(keys.slice(i, i + 500)));
+      const found = keys.filter(k => stored[k]);
+      if (!found.length) return;
+
+      const buffer = [].concat(...found.map(k => JSON.parse(stored[k])));
+      if (buffer.length) writeAuditRows_(buffer);
+      cache.removeAll(found);
+    });
+  } finally {
+    lock.releaseLock();
+  }
 }
 
 /**
- * Helper for sending JSON or JSONP responses.
+ * Time-driven trigger: deletes entries older than AUDIT_RETENTION_DAYS.
+ * Every row is checked (buffers can be flushed slightly out of order) and
+ * runs of old rows are deleted from the bottom up.
+ */
+function rotateAuditLog() {
+  if (!(AUDIT_RETENTION_DAYS > 0)) return;
+  const cutoff = Date.now() - AUDIT_RETENTION_DAYS * 86400000;
+
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(30000)) return; // tomorrow's run catches up
+
+  try {
+    forEachTenant_(() => {
+      const sh      = getAuditSheet_();
+      const lastRow = sh.getLastRow();
+      if (lastRow < 2) return;
+
+      const times = sh.getRange(2, 1, lastRow - 1, 1).getValues().flat();
+      const isOld = t => new Date(t).getTime() < cutoff;
+      let i = times.length - 1;
+      while (i >= 0) {
+        if (!isOld(times[i])) { i--; continue; }
+        let start = i;
+        while (start > 0 && isOld(times[start - 1])) start--;
+        sh.deleteRows(start + 2, i - start + 1);
+        i = start - 1;
+      }
+    });
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Run once from the editor: flushes the audit buffer every 5 minutes and
+ * rotates the log daily. Re-running replaces the existing triggers.
+ */
+function installAuditLogTriggers() {
+  ScriptApp.getProjectTriggers()
+    .filter(t => ['flushAuditLog', 'rotateAuditLog'].indexOf(t.getHandlerFunction()) >= 0)
+    .forEach(t => ScriptApp.deleteTrigger(t));
+  ScriptApp.newTrigger('flushAuditLog').timeBased().everyMinutes(5).create();
+  ScriptApp.newTrigger('rotateAuditLog').timeBased().everyDays(1).atHour(3).create();
+  forEachTenant_(getAuditSheet_);
+}
+
+/** Buffers are per minute since the epoch and shard: flushAuditLog can list them without a shared index. */
+function auditMinute_(ms) {
+  return Math.floor(ms / 60000);
+}
+
+function auditBufferKey_(minute, shard) {
+  return cacheKey_(AUDIT_BUFFER_KEY + minute + ':' + shard);
+}
+
+function writeAuditRows_(rows) {
+  const sh = getAuditSheet_();
+  sh.getRange(sh.getLastRow() + 1, 1, rows.length, AUDIT_HEADERS.length).setValues(rows.map(auditSheetRow_));
+}
+
+/** Buffered rows keep the timestamp as an ISO string; the sheet gets a Date. */
+function auditSheetRow_(r) {
+  return [new Date(r[0])].concat(r.slice(1));
+}
+
+function getAuditSheet_() {
+  const ss = openSpreadsheet_();
+  let sh = ss.getSheetByName(AUDIT_SHEET_NAME);
+  if (!sh) {
+    sh = ss.insertSheet(AUDIT_SHEET_NAME);
+    sh.getRange(1, 1, 1, AUDIT_HEADERS.length).setValues([AUDIT_HEADERS]);
+    sh.setFrozenRows(1);
+  }
+  return sh;
+}
+
+/************** License Tokens **************/
+
+/**
+ * Base64url without padding (JWT encoding) of a string or byte array.
+ */
+function base64Url_(data) {
+  return Utilities.base64EncodeWebSafe(data).replace(/=+$/, '');
+}
+
+/**
+ * SHA-256 hex digest of an email, lowercased and trimmed (the "eml" claim).
+ */
+function hashEmail_(email) {
+  return sha256Hex_(String(email || '').trim().toLowerCase());
+}
+
+function sha256Hex_(s) {
+  const bytes = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, String(s), Utilities.Charset.UTF_8);
+  return bytes.map(b => ('0' + (b & 0xff).toString(16)).slice(-2)).join('');
+}
+
+/**
+ * Signs claims as a compact HS256 JWT.
+ */
+function signLicenseToken_(claims, secret) {
+  const input = base64Url_(JSON.stringify({ alg: 'HS256', typ: 'JWT' })) + '.' +
+                base64Url_(JSON.stringify(claims));
+  return input + '.' + base64Url_(Utilities.computeHmacSha256Signature(input, secret));
+}
+
+/**
+ * Verifies a license token. Returns { ok: true, claims } or
+ * { ok: false, reason: 'malformed' | 'bad_signature' | 'expired', claims? }.
+ * The plugin-side equivalent is in the README ("Offline License Tokens").
  *
- * - obj:      JavaScript object to serialize.
- * - callback: optional JSONP callback name.
+ * @param {string} token
+ * @param {string} secret
+ * @param {number=} nowSeconds Defaults to the current time.
  */
-function respond_(obj, callback) {
-  if (callback) {
-    return ContentService.createTextOutput(
-      `${callback}(${JSON.stringify(obj)});`
-    ).setMimeType(ContentService.MimeType.JAVASCRIPT);
+function verifyLicenseToken_(token, secret, nowSeconds) {
+  const parts = String(token || '').trim().split('.');
+  if (parts.length !== 3 || !secret) return { ok: false, reason: 'malformed' };
+
+  const expected = base64Url_(Utilities.computeHmacSha256Signature(parts[0] + '.' + parts[1], secret));
+  let diff = expected.length ^ parts[2].length;
+  for (let i = 0; i < expected.length; i++) {
+    diff |= expected.charCodeAt(i) ^ parts[2].charCodeAt(i % Math.max(1, parts[2].length));
   }
-  return ContentService.createTextOutput(JSON.stringify(obj))
-    .setMimeType(ContentService.MimeType.JSON);
+  if (diff !== 0) return { ok: false, reason: 'bad_signature' };
+
+  let claims;
+  try {
+    const header = JSON.parse(Utilities.newBlob(Utilities.base64DecodeWebSafe(parts[0])).getDataAsString());
+    claims = JSON.parse(Utilities.newBlob(Utilities.base64DecodeWebSafe(parts[1])).getDataAsString());
+    if (header.alg !== 'HS256') return { ok: false, reason: 'malformed' };
+  } catch (_) {
+    return { ok: false, reason: 'malformed' };
+  }
+
+  const now = nowSeconds === undefined ? Math.floor(Date.now() / 1000) : nowSeconds;
+  if (!(Number(claims.exp) > now)) return { ok: false, reason: 'expired', claims };
+  return { ok: true, claims };
 }
 
 /**
- * Simple in-memory + Apps Script cache wrapper.
+ * Adds `token` and `token_expires_at` to a valid:true response (responses
+ * are cached without them, so every reply gets a fresh token). No-op when
+ * LICENSE_TOKEN_SECRET is not set.
  *
- * - MEMO: local in-memory cache for a single execution.
- * - CacheService: cross-execution cache (for CACHE_SECONDS).
+ * info: { plugin, fid, email, expiresAt (ISO string, subscriptions only) }
  */
-const MEMO = {};
+function withLicenseToken_(res, info) {
+  if (!TENANT.license_token_secret || !res.valid) return res;
 
-function getCache_(key) {
-  if (MEMO[key]) return MEMO[key];
-  const cache = CacheService.getScriptCache();
-  const raw = cache.get(key);
-  if (!raw) return null;
-  const val = JSON.parse(raw);
-  MEMO[key] = val;
-  return val;
+  const iat = Math.floor(Date.now() / 1000);
+  let exp = iat + LICENSE_TOKEN_SECONDS;
+  if (info.expiresAt) exp = Math.min(exp, Math.floor(new Date(info.expiresAt).getTime() / 1000));
+
+  const token = signLicenseToken_({
+    plg: String(info.plugin || ''),
+    fid: String(info.fid || ''),
+    eml: hashEmail_(info.email),
+    iat,
+    exp
+  }, TENANT.license_token_secret);
+
+  return Object.assign({}, res, { token, token_expires_at: new Date(exp * 1000).toISOString() });
 }
 
-function putCache_(key, value, seconds) {
-  MEMO[key] = value;
-  CacheService.getScriptCache().put(key, JSON.stringify(value), seconds);
+/**
+ * action=refresh&token=...
+ *
+ * Reissues a token (expired ones included, as long as the signature is
+ * ours) while the purchase it names is still valid: a row with the token's
+ * plugin (or a bundle including it), bound to its fid (one of its seats),
+ * whose email hashes to its eml, that is neither revoked nor expired. Only tokens of bound purchases can be refreshed;
+ * unbound ones need a normal verify with email + access_code.
+ */
+function refreshLicenseToken_(p, cb) {
+  if (!TENANT.license_token_secret) {
+    return respond_(errorRes_('disabled', 'license tokens are not enabled'), cb);
+  }
+
+  const check = verifyLicenseToken_(p.token, TENANT.license_token_secret);
+  if (!check.ok && check.reason !== 'expired') {
+    return respond_({ ok: true, valid: false, bound: false, reason: 'invalid_token' }, cb);
+  }
+  const claims = check.claims;
+  auditNote_({ email: claims.eml, plugin: claims.plg, requested: claims.fid });
+  if (!claims.fid) {
+    return respond_({ ok: true, valid: false, bound: false, reason: 'bound_requires_user_id' }, cb);
+  }
+
+  const ss  = openSpreadsheet_();
+  const cfg = getConfig_(ss);
+  const sh  = ss.getSheetByName(cfg.sheet_name);
+  if (!sh) {
+    return respond_(errorRes_('config_error', 'Sheet "' + cfg.sheet_name + '" not found'), cb);
+  }
+
+  const lastRow = sh.getLastRow();
+  const { map } = getHeaderMap_(sh);
+  const col = (field) => map[norm(cfg.columns[field])] || 0;
+  const cEmail = col('client_email'), cPlugin = col('plugin_name'), cFuid = col('framer_user_id');
+  const cClient = col('client_name'), cStatus = col('status'), cExpires = col('expires_at');
+  const cSeats = col('seats'), cType = col('type'), cMode = col('mode');
+  if (lastRow < 2 || !cEmail || !cPlugin || !cFuid) {
+    return respond_({ ok: true, valid: false, bound: true, reason: 'not_found' }, cb);
+  }
+
+  // Bundle rows bound per plugin only count the token plugin's bindings
+  const plg    = norm(claims.plg);
+  const idsOf  = (r) => {
+    const isBundle = !!bundleOf_(cfg, r[cPlugin - 1]);
+    const scope    = isBundle && norm(r[cPlugin - 1]) !== plg ? plg : '';
+    return idsFor_(bindings_(r[cFuid - 1], isBundle), scope);
+  };
+  const vals = sh.getRange(2, 1, lastRow - 1, sh.getLastColumn()).getValues();
+  const matched = vals.filter(r =>
+    grantedPlugin_(cfg, r[cPlugin - 1], plg) &&
+    idsOf(r).indexOf(claims.fid) >= 0 &&
+    hashEmail_(r[cEmail - 1]) === claims.eml &&
+    !(cType && String(r[cType - 1] || '').trim() === TRIAL_CONVERTED_TYPE)
+  );
+  if (!matched.length) {
+    return respond_({ ok: true, valid: false, bound: true, reason: 'not_found' }, cb);
+  }
+  const rows = matched.filter(r => !(cMode && testModeBlocked_(r[cMode - 1])));
+  if (!rows.length) {
+    return respond_({ ok: true, valid: false, bound: true, reason: 'test_mode' }, cb);
+  }
+
+  const live = rows.find(r =>
+    !(cStatus && revocationReason_(r[cStatus - 1])) &&
+    !expiryInfo_(cExpires ? r[cExpires - 1] : '').expired
+  );
+  if (!live) {
+    const r       = rows[0];
+    const revoked = cStatus ? revocationReason_(r[cStatus - 1]) : '';
+    const expiry  = expiryInfo_(cExpires ? r[cExpires - 1] : '');
+    const res = { ok: true, valid: false, bound: true, reason: revoked || 'expired' };
+    if (!revoked) res.expires_at = expiry.expires_at;
+    return respond_(res, cb);
+  }
+
+  const expiry = expiryInfo_(cExpires ? live[cExpires - 1] : '');
+  const bundle = bundleOf_(cfg, live[cPlugin - 1]);
+  return respond_(withLicenseToken_({
+    ok: true,
+    valid: true,
+    bound: true,
+    project_name: cClient ? live[cClient - 1] : undefined,
+    expires_at: expiry.expires_at,
+    days_remaining: expiry.days_remaining,
+    action: 'refreshed',
+    bundle: bundle ? bundle.name : undefined,
+    seats_total: seatCount_(cSeats ? live[cSeats - 1] : ''),
+    seats_used: idsOf(live).length
+  }, {
+    plugin: grantedPlugin_(cfg, live[cPlugin - 1], plg),
+    fid: claims.fid,
+    email: String(live[cEmail - 1] || '').trim(),
+    expiresAt: expiry.expires_at
+  }), cb);
+}
+
+/**
+ * Self-test for the token routines against a fixed HS256 vector.
+ * Run from the Apps Script editor after editing them.
+ */
+function testLicenseTokens() {
+  const secret = 'test_token_secret';
+  const claims = {
+    plg: 'Grid',
+    fid: 'user_123',
+    eml: 'b5fc85e55755f9e0d030a10ab4429b6b2944855f9a0d60077fe832becbc41d72',
+    iat: 1700000000,
+    exp: 1700604800
+  };
+  const expected =
+    'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9.' +
+    'eyJwbGciOiJHcmlkIiwiZmlkIjoidXNlcl8xMjMiLCJlbWwiOiJiNWZjODVlNTU3NTVmOWUwZDAzMGExMGFiNDQyOWI2YjI5NDQ4NTVmOWEwZDYwMDc3ZmU4MzJiZWNiYzQxZDcyIiwiaWF0IjoxNzAwMDAwMDAwLCJleHAiOjE3MDA2MDQ4MDB9.' +
+    'tNzpOiqcb7uO1tTc1MyqOfiFQoMdg1fMslOW4O7adbg';
+
+  const assert = (cond, msg) => { if (!cond) throw new Error('testLicenseTokens: ' + msg); };
+  const token  = signLicenseToken_(claims, secret);
+
+  assert(hashEmail_(' Ada@Example.com ') === claims.eml, 'email hash');
+  assert(token === expected, 'signature does not match the test vector');
+  assert(verifyLicenseToken_(token, secret, 1700000100).ok, 'valid token rejected');
+  assert(verifyLicenseToken_(token, secret, 1700604800).reason === 'expired', 'expired token accepted');
+  assert(verifyLicenseToken_(token, 'other_secret', 1700000100).reason === 'bad_signature', 'wrong secret accepted');
+  assert(verifyLicenseToken_(token.replace('.eyJwbGciOiJHcmlk', '.eyJwbGciOiJHbG9i'), secret, 1700000100).reason === 'bad_signature', 'tampered claims accepted');
+  assert(verifyLicenseToken_('abc', secret).reason === 'malformed', 'malformed token accepted');
+
+  Logger.log('License token self-test passed');
 }
 
 /************** Verifier + (Auto)Binder (GET only) **************/
@@ -110,24 +2232,67 @@ function putCache_(key, value, seconds) {
  *
  * Query params:
  *   email=...          (required) - purchaser email
- *   access_code=...    (required) - receipt / invoice / access code string
+ *   access_code=...    (required) - receipt / invoice / access code string (a
+ *                      receipt or invoice URL works too), or license key
  *   plugin=...         (optional) - plugin/product name (recommended)
  *   plugin_name=...    (optional) - alias for plugin
  *   framer_user_id=... (optional) - ID to "bind" this purchase to
  *   bind=1             (optional) - explicitly request binding to framer_user_id
  *   nocache=1          (optional) - bypass cached responses
  *   callback=...       (optional) - JSONP callback name
+ *   action=refresh&token=... - reissue a license token (see refreshLicenseToken_)
+ *   action=unbind / action=transfer (+ new_framer_user_id, admin_key)
+ *                      - release or move a binding (see transferPurchase_)
+ *   action=recover&email=... (+ plugin)
+ *                      - email lost access codes (see recoverAccessCodes_)
+ *   action=trial&framer_user_id=...&plugin=...
+ *                      - start a free trial; without action (and without
+ *                        email / access_code) checks it (see trialRequest_)
+ *   admin=search|summary|export&admin_key=... - admin API (see adminRequest_)
+ *   action=health(&admin_key=...)
+ *                      - modes of the stored purchases (see healthRequest_)
+ *   mode=test          (optional) - use Stripe test purchases (see TEST_PURCHASES)
+ *   v=2                (optional) - versioned response format (see API_CODES)
+ *   tenant=... / vendor=... (optional) - tenant to serve (see TENANTS)
+ *
+ * With LICENSE_TOKEN_SECRET set, valid:true responses also carry
+ * `token` and `token_expires_at` (see withLicenseToken_).
  *
  * Sheet layout example:
  *   Client Name | Client Email | Paid At | Access Code | Plugin Name | Framer User ID
  */
 function doGet(e) {
+  const p = e && e.parameter ? e.parameter : {};
+  API_REQUEST = {
+    v:    String(p.v || '').trim() === '2' ? 2 : 1,
+    id:   Utilities.getUuid(),
+    test: acceptsTestPurchases_(p)
+  };
+
+  const tenantId = String(p.tenant || p.vendor || '').trim();
+  TENANT = tenant_(tenantId);
+  if (!TENANT) {
+    return respond_(errorRes_('bad_request', tenantId ? 'unknown tenant' : 'tenant required'), (p.callback || '').trim());
+  }
+  startAudit_(p);
+  try {
+    return handleGet_(e);
+  } finally {
+    finishAudit_(); // after handleGet_ released its lock
+  }
+}
+
+/**
+ * Request handling for doGet (see above); every outcome passes through
+ * respond_(), which records it for the audit log.
+ */
+function handleGet_(e) {
   const p   = e && e.parameter ? e.parameter : {};
   const cb  = (p.callback || '').trim();
 
   // Normalize input params
   const email = String(p.email || '').trim().toLowerCase();
-  const code  = String(p.access_code || '').trim();
+  const code  = canonicalCode_(p.access_code); // see rowCodes_
   const fid   = String(p.framer_user_id || '').trim();
   const bind  = p.bind == '1';
   const noCache = p.nocache == '1';
@@ -136,94 +2301,225 @@ function doGet(e) {
   const pluginReqRaw = String(p.plugin || p.plugin_name || '').trim();
   const pluginReq = pluginReqRaw ? norm(pluginReqRaw) : '';
 
+  if (p.admin) {
+    try {
+      return adminRequest_(p, cb);
+    } catch (err) {
+      return respond_(exceptionRes_(err), cb);
+    }
+  }
+
+  if (p.action === 'refresh') {
+    try {
+      return refreshLicenseToken_(p, cb);
+    } catch (err) {
+      return respond_(exceptionRes_(err), cb);
+    }
+  }
+
+  if (p.action === 'recover') {
+    return recoverAccessCodes_(p, cb);
+  }
+
+  if (p.action === 'health') {
+    try {
+      return healthRequest_(p, cb);
+    } catch (err) {
+      return respond_(exceptionRes_(err), cb);
+    }
+  }
+
+  // Trials are verified with framer_user_id + plugin alone
+  if (p.action === 'trial' || (!email && !code && fid && pluginReq)) {
+    try {
+      return trialRequest_(p, p.action === 'trial', cb);
+    } catch (err) {
+      return respond_(exceptionRes_(err), cb);
+    }
+  }
+
   if (!email || !code) {
-    return respond_({ ok: false, error: 'missing email or access_code' }, cb);
+    return respond_(errorRes_('bad_request', 'missing email or access_code'), cb);
+  }
+
+  const codeKey  = normalizeLicenseKey_(code);
+  const keyCheck = licenseKeyChecksumOk_(codeKey);
+
+  // Brute-force protection: locked-out values are refused before any sheet read
+  const limited = { email, access_code: keyCheck === null ? code : codeKey, framer_user_id: fid };
+  const retryAfter = rateLimitRetryAfter_(limited);
+  if (retryAfter) {
+    return respond_({ ok: true, valid: false, bound: false, reason: 'rate_limited', retry_after: retryAfter }, cb);
+  }
+  const fail = (res) => {
+    recordRateLimitFailure_(limited);
+    return respond_(res, cb);
+  };
+
+  // License keys carry a checksum: reject mistyped keys without touching the sheet
+  if (keyCheck === false) {
+    return fail({ ok: true, valid: false, bound: false, reason: 'invalid_key' });
+  }
+
+  if (p.action === 'unbind' || p.action === 'transfer') {
+    try {
+      return transferPurchase_(p, { email, code, codeKey, keyCheck, fid, pluginReq }, fail, cb);
+    } catch (err) {
+      return respond_(exceptionRes_(err), cb);
+    }
   }
 
   let cacheKey = null;
   let lock = null;
 
   try {
-    const ss = SpreadsheetApp.openById(SPREADSHEET_ID);
-    const sh = ss.getSheetByName(SHEET_NAME);
+    const ss  = openSpreadsheet_();
+    const cfg = getConfig_(ss);
+    const sh  = ss.getSheetByName(cfg.sheet_name);
     if (!sh) {
       return respond_(
-        { ok: false, error: 'Sheet "' + SHEET_NAME + '" not found' },
+        errorRes_('config_error', 'Sheet "' + cfg.sheet_name + '" not found'),
         cb
       );
     }
 
+    // Read before any purchase data (see dataVersion_)
+    const version = dataVersion_(ss);
+    const codeTag = keyCheck ? codeKey : code;
+
+    // Row details every reply carries (seat counts, bundle, license token
+    // claims); set from the matched row, or from the cache
+    let info = null; // { plugin, bundle, ids, seats, expires_at }
+    const reply = (res) => respond_(withLicenseToken_(
+      Object.assign({}, res, info.bundle ? { bundle: info.bundle } : {},
+        { seats_total: info.seats, seats_used: info.ids.length }),
+      {
+        plugin: info.plugin,
+        fid: res.bound ? fid : '',
+        email,
+        expiresAt: info.expires_at
+      }
+    ), cb);
+    const remember = (res) => {
+      if (cacheKey) putCache_(cacheKey, { res, info }, CACHE_SECONDS);
+      return reply(res);
+    };
+
+    // 0) Cache (only for read-only verification, no bind). Keyed by the data
+    //    version, so any bind or Stripe write invalidates every entry.
+    if (!noCache && !bind) {
+      cacheKey = `verify:${version}:${email}:${codeTag}:${fid || 'noid'}:${pluginReq || 'any'}` +
+        (API_REQUEST.test ? ':test' : '');
+      const cached = getCache_(cacheKey);
+      if (cached) {
+        info = cached.info;
+        auditNote_({ existing: info.ids, plugin: info.plugin, cached: true });
+        return reply(cached.res);
+      }
+    }
+
     const lastRow = sh.getLastRow();
     if (lastRow < 2) {
       // Sheet has only header row, no data
-      return respond_({ ok: true, valid: false, bound: false, reason: 'not_found' }, cb);
+      return fail({ ok: true, valid: false, bound: false, reason: 'not_found' });
     }
 
     // Build header map (case-insensitive, flexible naming)
-    const { map } = getHeaderMap_(sh);
-    const col = (name) => map[norm(name)] || 0;
+    const { map, header } = getHeaderMap_(sh);
+    const headers = cfg.columns;
+    const col = (field) => map[norm(headers[field])] || 0;
 
     // NOTE:
-    //   Use your actual header text here. This code assumes:
-    //   "Client Email", "Access Code", "Plugin Name", "Framer User ID", "Client Name"
-    const cEmail   = col('Client Email');
-    const cCode    = col('Access Code');
-    const cPlugin  = col('Plugin Name');
-    const cFuid    = col('Framer User ID');
-    const cClient  = col('Client Name'); // used as "project_name" in responses
+    //   Header text comes from COLUMN_HEADERS / the Config tab
+    //   ("column.client_email" etc.), not from this code.
+    const cEmail   = col('client_email');
+    const cCode    = col('access_code');
+    const cPlugin  = col('plugin_name');
+    const cFuid    = col('framer_user_id');
+    const cClient  = col('client_name'); // used as "project_name" in responses
+    const cStatus  = col('status');      // optional: refunded / disputed / canceled → invalid
+    const cExpires = col('expires_at');  // optional: subscriptions → expired / days_remaining
+    const cKey     = col('license_key'); // optional: generated keys, accepted as access_code
+    const cSeats   = col('seats');       // optional: Framer user IDs allowed per purchase (default 1)
 
     if (!cEmail || !cCode) {
       return respond_(
-        { ok: false, error: 'Expected "Client Email" and "Access Code" columns' },
+        errorRes_('config_error', 'Expected "' + headers.client_email + '" and "' + headers.access_code + '" columns'),
         cb
       );
     }
     if (!cPlugin) {
       return respond_(
-        { ok: false, error: 'Expected "Plugin Name" column' },
+        errorRes_('config_error', 'Expected "' + headers.plugin_name + '" column'),
         cb
       );
     }
     if (!cFuid) {
       return respond_(
-        { ok: false, error: 'Expected "Framer User ID" column' },
+        errorRes_('config_error', 'Expected "' + headers.framer_user_id + '" column'),
         cb
       );
     }
 
-    const num = lastRow - 1;
+    // 1) Find the rows that match email + access_code (any of the row's
+    //    codes, see rowCodes_, or its license key) in the lookup index, then
+    //    read just those rows. Arrays below hold one element per found row;
+    //    rowNumbers maps them back to the sheet.
+    const fields = [
+      'client_email', 'access_code', 'alternate_codes', 'plugin_name', 'framer_user_id', 'client_name',
+      'status', 'expires_at', 'seats', 'mode'
+    ].concat(keyCheck ? ['license_key'] : []);
+    const lookupKeys = [indexKey_('c', email, code)].concat(keyCheck ? [indexKey_('k', email, codeKey)] : []);
+    const matchesAt  = (v, i) =>
+      String(v.client_email[i] || '').trim().toLowerCase() === email &&
+      (rowCodes_(v.access_code[i], v.alternate_codes ? v.alternate_codes[i] : '').indexOf(code) >= 0 ||
+       (v.license_key ? normalizeLicenseKey_(v.license_key[i]) === codeKey : false));
 
-    // Read column values into arrays (one element per row)
-    const emailVals   = sh.getRange(2, cEmail,  num, 1).getValues().flat();
-    const codeVals    = sh.getRange(2, cCode,   num, 1).getValues().flat();
-    const pluginVals  = sh.getRange(2, cPlugin, num, 1).getValues().flat();
-    const fuidVals    = sh.getRange(2, cFuid,   num, 1).getValues().flat();
-    const clientVals  = cClient ? sh.getRange(2, cClient, num, 1).getValues().flat() : null;
+    let rowNumbers = lookupRows_(sh, col, version, lastRow, lookupKeys, false);
+    let vals = readRows_(sh, rowNumbers, col, fields, header.length);
+    if (rowNumbers.some((_, i) => !matchesAt(vals, i))) {
+      // Rows were edited by hand since the index was built
+      rowNumbers = lookupRows_(sh, col, version, lastRow, lookupKeys, true);
+      vals = readRows_(sh, rowNumbers, col, fields, header.length);
+    }
 
-    // 1) Find all rows that match email + access_code
-    const emailCodeMatches = [];
-    for (let i = 0; i < num; i++) {
-      const rowEmail = String(emailVals[i] || '').trim().toLowerCase();
-      const rowCode  = String(codeVals[i]  || '').trim();
-      if (rowEmail === email && rowCode === code) {
-        emailCodeMatches.push(i);
-      }
+    const pluginVals  = vals.plugin_name;
+    const fuidVals    = vals.framer_user_id;
+    const clientVals  = vals.client_name;
+    const statusVals  = vals.status;
+    const expiresVals = vals.expires_at;
+    const seatsVals   = vals.seats;
+    const revokedReasonOf = (i) => statusVals ? revocationReason_(statusVals[i]) : '';
+    const bundleOf = (i) => bundleOf_(cfg, pluginVals[i]);
+    // Bundle rows are bound per member plugin when a plugin is requested
+    const scopeOf  = (i) => pluginReq && bundleOf(i) ? grantedPlugin_(cfg, pluginVals[i], pluginReq) : '';
+    const idsOf    = (i) => idsFor_(bindings_(fuidVals[i], !!bundleOf(i)), scopeOf(i));
+    const seatsOf  = (i) => seatCount_(seatsVals ? seatsVals[i] : '');
+
+    const found = rowNumbers.map((_, i) => i).filter(i => matchesAt(vals, i));
+
+    if (found.length === 0) {
+      return fail({ ok: true, valid: false, bound: false, reason: 'not_found' });
     }
 
+    // 1b) Stripe test-mode purchases only count where TEST_PURCHASES allows
+    const emailCodeMatches = found.filter(i => !testModeBlocked_(vals.mode ? vals.mode[i] : ''));
     if (emailCodeMatches.length === 0) {
-      return respond_({ ok: true, valid: false, bound: false, reason: 'not_found' }, cb);
+      return respond_({ ok: true, valid: false, bound: false, reason: 'test_mode' }, cb);
     }
 
-    // 2) If a plugin name was given, narrow the matches by plugin
+    // 2) If a plugin name was given, narrow the matches by plugin (or by a
+    //    bundle that includes it)
     let candidates = emailCodeMatches;
     if (pluginReq) {
-      candidates = candidates.filter(i => norm(pluginVals[i]) === pluginReq);
+      candidates = candidates.filter(i => grantedPlugin_(cfg, pluginVals[i], pluginReq));
       if (candidates.length === 0) {
         const firstIdx = emailCodeMatches[0];
+        auditNote_({ existing: idsOf(firstIdx) });
         return respond_({
           ok: true,
           valid: false,
-          bound: !!String(fuidVals[firstIdx] || '').trim(),
+          bound: idsOf(firstIdx).length > 0,
           reason: 'wrong_plugin',
           plugin_name_found: String(pluginVals[firstIdx] || '')
         }, cb);
@@ -231,117 +2527,137 @@ function doGet(e) {
     }
 
     // 3) Among candidates, prefer:
-    //    (1) unbound row, (2) already bound to this fid, (3) first candidate
-    let idx = candidates.find(i => !String(fuidVals[i] || '').trim());
-    if (idx === undefined) idx = candidates.find(i => String(fuidVals[i] || '').trim() === fid);
+    //    (1) already bound to this fid, (2) a free seat, (3) first candidate
+    //    Revoked or expired rows are only considered when nothing else matches.
+    const live = candidates.filter(i =>
+      !revokedReasonOf(i) && !expiryInfo_(expiresVals ? expiresVals[i] : '').expired
+    );
+    if (live.length) candidates = live;
+
+    let idx = fid ? candidates.find(i => idsOf(i).indexOf(fid) >= 0) : undefined;
+    if (idx === undefined) idx = candidates.find(i => idsOf(i).length < seatsOf(i));
     if (idx === undefined) idx = candidates[0];
 
-    const rowNumber      = idx + 2; // +2 because data starts at row 2
+    const rowNumber      = rowNumbers[idx];
     const projectName    = clientVals ? clientVals[idx] : undefined; // mapped from "Client Name"
-    const pluginNameNow  = String(pluginVals[idx] || '');
-    const fuidNow        = String(fuidVals[idx] || '').trim();
+    const bundle         = bundleOf(idx);
+    const scope          = scopeOf(idx);
+    const idsNow         = idsOf(idx);
+    const seatsTotal     = seatsOf(idx);
+    const expiry         = expiryInfo_(expiresVals ? expiresVals[idx] : '');
+    info = {
+      plugin: scope || String(pluginVals[idx] || ''),
+      bundle: bundle ? bundle.name : '',
+      ids: idsNow,
+      seats: seatsTotal,
+      expires_at: expiry.expires_at
+    };
+    auditNote_({ existing: idsNow, plugin: info.plugin });
 
-    // 4) Per-plugin cache (only for read-only verification, no bind)
-    if (!noCache && !bind) {
-      const fidTag    = fid || 'noid';
-      const pluginTag = pluginReq || norm(pluginNameNow) || 'any';
-      cacheKey = `verify:${email}:${code}:${fidTag}:${pluginTag}`;
-      const cached = getCache_(cacheKey);
-      if (cached) return respond_(cached, cb);
+    // 4) Refunded / disputed / canceled purchases no longer verify or bind
+    const revokedReason = revokedReasonOf(idx);
+    if (revokedReason) {
+      const res = {
+        ok: true,
+        valid: false,
+        bound: idsNow.length > 0,
+        reason: revokedReason
+      };
+      return remember(res);
     }
 
-    const shouldAutoBind = !!fid && !fuidNow;
+    // 4b) Subscriptions past their Expires At no longer verify or bind
+    if (expiry.expired) {
+      const res = {
+        ok: true,
+        valid: false,
+        bound: idsNow.length > 0,
+        reason: 'expired',
+        expires_at: expiry.expires_at
+      };
+      return remember(res);
+    }
 
-    // 5) Auto-bind path: if caller passed framer_user_id but no bind=1,
-    //    we still bind if there is no existing ID.
-    if (shouldAutoBind) {
+    const shouldAutoBind = !!fid && idsNow.indexOf(fid) < 0 && idsNow.length < seatsTotal;
+
+    // Binds fid to a free seat under the script lock. The stored IDs (and
+    // Seats) are re-read inside the lock, so concurrent binds never overwrite
+    // each other or exceed the seat count.
+    const bindSeat = (action) => {
       lock = LockService.getScriptLock();
       lock.waitLock(5000);
 
       const fuidCell = sh.getRange(rowNumber, cFuid, 1, 1);
-      const freshFuid = String(fuidCell.getValue() || '').trim();
+      const entries  = bindings_(fuidCell.getValue(), !!bundle);
+      const freshIds = idsFor_(entries, scope);
+      auditNote_({ existing: freshIds.slice() });
+      const freshSeats = cSeats ? seatCount_(sh.getRange(rowNumber, cSeats).getValue()) : seatsTotal;
+      info.ids = freshIds;
 
-      if (!freshFuid) {
-        fuidCell.setValue(fid);
-        return respond_({
+      if (freshIds.indexOf(fid) >= 0) {
+        return reply({
           ok: true,
           valid: true,
           bound: true,
           project_name: projectName,
-          action: 'auto_bound'
-        }, cb);
-      } else if (freshFuid === fid) {
-        return respond_({
+          expires_at: expiry.expires_at,
+          days_remaining: expiry.days_remaining,
+          action: 'already_bound'
+        });
+      }
+      if (freshIds.length < freshSeats) {
+        freshIds.push(fid);
+        fuidCell.setValue(entries.map(b => b.raw).concat(bindingEntry_(scope, fid)).join(', '));
+        convertTrials_(sh, col, fid, scope || !bundle ? [info.plugin] : bundle.plugins);
+        bumpDataVersion_(ss);
+        return reply({
           ok: true,
           valid: true,
           bound: true,
           project_name: projectName,
-          action: 'already_bound'
-        }, cb);
-      } else {
-        return respond_({
-          ok: true,
-          valid: false,
-          bound: true,
-          reason: 'bound_to_other'
-        }, cb);
+          expires_at: expiry.expires_at,
+          days_remaining: expiry.days_remaining,
+          action
+        });
       }
+      return reply({
+        ok: true,
+        valid: false,
+        bound: true,
+        reason: freshSeats > 1 ? 'seats_exhausted' : 'bound_to_other'
+      });
+    };
+
+    // 5) Auto-bind path: if caller passed framer_user_id but no bind=1,
+    //    we still bind while the purchase has a free seat.
+    if (shouldAutoBind) {
+      return bindSeat('auto_bound');
     }
 
     // 6) Explicit bind path (bind=1)
     if (bind) {
       if (!fid) {
         return respond_(
-          { ok: false, error: 'bind requested but framer_user_id missing' },
+          errorRes_('bad_request', 'bind requested but framer_user_id missing'),
           cb
         );
       }
-
-      lock = LockService.getScriptLock();
-      lock.waitLock(5000);
-
-      const fuidCell = sh.getRange(rowNumber, cFuid, 1, 1);
-      const freshFuid = String(fuidCell.getValue() || '').trim();
-
-      if (!freshFuid) {
-        fuidCell.setValue(fid);
-        return respond_({
-          ok: true,
-          valid: true,
-          bound: true,
-          project_name: projectName,
-          action: 'bound'
-        }, cb);
-      } else if (freshFuid === fid) {
-        return respond_({
-          ok: true,
-          valid: true,
-          bound: true,
-          project_name: projectName,
-          action: 'already_bound'
-        }, cb);
-      } else {
-        return respond_({
-          ok: true,
-          valid: false,
-          bound: true,
-          reason: 'bound_to_other'
-        }, cb);
-      }
+      return bindSeat('bound');
     }
 
     // 7) No bind requested — just verification (+ optional caching)
 
     // Case: not yet bound to any ID
-    if (!fuidNow) {
+    if (!idsNow.length) {
       const res = {
         ok: true,
         valid: true,
         bound: false,
-        project_name: projectName
+        project_name: projectName,
+        expires_at: expiry.expires_at,
+        days_remaining: expiry.days_remaining
       };
-      if (cacheKey) putCache_(cacheKey, res, CACHE_SECONDS);
-      return respond_(res, cb);
+      return remember(res);
     }
 
     // Case: record is bound, but caller did not provide an ID
@@ -352,37 +2668,36 @@ function doGet(e) {
         bound: true,
         reason: 'bound_requires_user_id'
       };
-      if (cacheKey) putCache_(cacheKey, res, CACHE_SECONDS);
-      return respond_(res, cb);
+      return remember(res);
     }
 
-    // Case: record is bound to this same ID
-    if (fuidNow === fid) {
+    // Case: record is bound to this same ID (one of its seats)
+    if (idsNow.indexOf(fid) >= 0) {
       const res = {
         ok: true,
         valid: true,
         bound: true,
         project_name: projectName,
+        expires_at: expiry.expires_at,
+        days_remaining: expiry.days_remaining,
         action: 'already_bound'
       };
-      if (cacheKey) putCache_(cacheKey, res, CACHE_SECONDS);
-      return respond_(res, cb);
+      return remember(res);
     } else {
-      // Case: record is bound, but to a different ID
+      // Case: every seat is bound to other IDs
       const res = {
         ok: true,
         valid: false,
         bound: true,
-        reason: 'bound_to_other'
+        reason: seatsTotal > 1 ? 'seats_exhausted' : 'bound_to_other' // single seat: original reason
       };
-      if (cacheKey) putCache_(cacheKey, res, CACHE_SECONDS);
-      return respond_(res, cb);
+      return remember(res);
     }
 
   } catch (err) {
     // On error, always respond with a JSON error object
     return respond_(
-      { ok: false, error: String(err) },
+      exceptionRes_(err),
       (e && e.parameter && e.parameter.callback) || ''
     );
   } finally {
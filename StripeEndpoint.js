@@ -3,16 +3,39 @@
  *
  * This script receives Stripe webhook events and performs an UPSERT (Update
  * or Insert) operation on a Google Sheet row, using the Payment Intent ID
- * (pi_...) as the unique lookup key. This correctly handles multiple events
+ * (pi_...) plus the Plugin Name as the unique lookup key (one row per plugin
+ * bought, so a cart with two plugins yields two entitlements). This correctly handles multiple events
  * (e.g., payment_intent.succeeded, charge.succeeded, checkout.session.*)
  * related to the same payment.
  *
+ * Subscriptions are keyed by Subscription ID (sub_...) instead, so every
+ * renewal invoice extends the SAME row's Expires At.
+ *
  * Sheet columns (row 1):
  *   Client Name | Client Email | Paid At | Access Code | Plugin Name | Framer User ID | Event ID
+ *   | Status | Revoked At | Subscription ID | Expires At | License Key | Sent At | Seats
+ *   | Transfer Count | Last Transfer At
  *
  * **CRITICAL MAPPING:**
  * - Access Code column: Stores Receipt Number or Invoice ID.
+ * - Alternate Codes: Every other code of the purchase (receipt number, invoice
+ *   ID and number, receipt / invoice URL IDs, a replaced Access Code), in
+ *   canonical form (see canonicalCode). The verifier accepts any of them.
  * - Event ID column: Stores Payment Intent ID (pi_...) and is the lookup key for upserting.
+ * - Status / Revoked At: Payment lifecycle (paid, refunded, disputed, ...). Refunds,
+ *   disputes and cancellations are matched to the purchase by Payment Intent ID.
+ * - Subscription ID / Expires At: Set for subscriptions only; one-off purchases never expire.
+ * - License Key: Our own human-friendly key (e.g. GRID-7KQ2-M9XP-4TZC), generated
+ *   once per row and never overwritten. Customers can use it instead of the Access Code.
+ * - Sent At: When the access code email went out (see SEND_ACCESS_CODE_EMAILS).
+ * - Seats / Framer User ID: Seats is how many Framer user IDs may use the purchase
+ *   (metadata.Seats or the line item quantity; empty = 1). The verifier keeps the
+ *   bound IDs comma-separated in Framer User ID, which this script only fills
+ *   while it is empty.
+ * - Transfer Count / Last Transfer At: Written by the verifier's unbind/transfer actions.
+ *
+ * Header names, metadata keys, product mapping and the sheet name can be
+ * changed in the Config tab shared with FramerEndpoint.js (see CONFIG_SHEET_NAME).
  ******************************/
 
 // ===== CONFIG =====
@@ -27,10 +50,87 @@
  *
  * - SHEET_NAME:
  *     Name of the worksheet/tab where purchases will be stored (e.g. "Purchases").
+ *     Can be overridden in the Config tab (see CONFIG_SHEET_NAME).
  */
 const SPREADSHEET_ID = 'YOUR_SPREADSHEET_ID_HERE';
 const SHEET_NAME     = 'Purchases';
 
+/**
+ * Tenants (optional: one deployment serving several vendors)
+ *
+ * - TENANTS:
+ *     Tenant ID → { spreadsheet_id, stripe_account, products }. An event
+ *     belongs to the tenant named by the webhook URL's tenant=<id>
+ *     parameter, else to the tenant whose stripe_account (acct_...) is the
+ *     event's `account` (Connect webhooks), else to the default tenant
+ *     (SPREADSHEET_ID, PRODUCT_ID_TO_PLUGIN and the plain script
+ *     properties; set SPREADSHEET_ID to '' to serve tenants only).
+ *       'acme': { spreadsheet_id: '1AbC...', stripe_account: 'acct_123', products: { 'prod_A': 'Grid' } }
+ *     Unknown tenants are refused, and so are Connect events of accounts
+ *     that no tenant claims once TENANTS is set. Each tenant's spreadsheet
+ *     has its own Config tab, ledger, queue and data version. Its secrets
+ *     are the script properties "<NAME>.<id>" (STRIPE_SIGNING_SECRETS.acme,
+ *     WEBHOOK_TOKEN.acme, EMAIL_TEMPLATE_SUBJECT.acme, ...). Tenants share
+ *     the project's one script lock, but a locked section only ever touches
+ *     its own tenant's spreadsheet. Editor functions work on the tenant
+ *     named by the script property EDITOR_TENANT (see selectTenant()).
+ *     Same IDs as TENANTS in FramerEndpoint.js.
+ */
+const TENANTS = {};
+
+/**
+ * Webhook ledger
+ *
+ * - LEDGER_SHEET_NAME:
+ *     Tab that records every processed Stripe event (created automatically).
+ *     Used to skip duplicate deliveries and to audit webhook outcomes.
+ *
+ * - HEALTH_LEDGER_ROWS:
+ *     Latest ledger entries that doGet() looks at, so a health check shows
+ *     which Stripe modes (live / test) are being received.
+ */
+const LEDGER_SHEET_NAME  = 'Webhook Ledger';
+const HEALTH_LEDGER_ROWS = 500;
+
+/**
+ * Revenue summary
+ *
+ * - REVENUE_SHEET_NAME:
+ *     Tab rebuilt by rebuildRevenueSummary(): purchases, renewals and
+ *     amounts per month, plugin and currency, from the Amount / Amount
+ *     Received / Amount Refunded / Tax / Discount / Plugin Amount columns of
+ *     the purchases sheet and the renewal payments in the ledger.
+ */
+const REVENUE_SHEET_NAME = 'Revenue Summary';
+
+/**
+ * Verifier cache invalidation
+ *
+ * - META_SHEET_NAME:
+ *     Hidden tab holding the purchases sheet's data version (created
+ *     automatically). Every processed event changes it, so
+ *     FramerEndpoint.js drops its cached responses and lookup index.
+ *     Must match META_SHEET_NAME in FramerEndpoint.js.
+ */
+const META_SHEET_NAME = '_Meta';
+
+/**
+ * Pending queue (events that arrive while another execution holds the lock)
+ *
+ * - QUEUE_SHEET_NAME:
+ *     Tab where contended events are stored until drainWebhookQueue() runs.
+ *     Run installWebhookQueueTrigger() once to create it and the drain trigger.
+ *
+ * - QUEUE_MAX_ATTEMPTS:
+ *     Failed attempts before an item is marked "dead" and no longer retried.
+ *
+ * - QUEUE_BATCH_SIZE:
+ *     Maximum number of items processed per drain run.
+ */
+const QUEUE_SHEET_NAME   = 'Webhook Queue';
+const QUEUE_MAX_ATTEMPTS = 5;
+const QUEUE_BATCH_SIZE   = 50;
+
 /**
  * Mapping Stripe Product IDs (prod_...) to human-readable names.
  *
@@ -38,12 +138,166 @@ const SHEET_NAME     = 'Purchases';
  * - Add entries like:
  *     'prod_ABC123...': 'My Plugin Name',
  * - If you don’t need product mapping, you can leave this as an empty object {}.
+ * - Entries can also be added in the Config tab ("product.prod_ABC123..."),
+ *   without editing code.
+ * - Several plugins in one checkout → one row per plugin. Send them as a
+ *   comma-separated metadata.Plugin ("Grid, Globe") or metadata.PluginId
+ *   ("prod_A,prod_B"), or let the product IDs come from line_items / invoice lines.
  */
 const PRODUCT_ID_TO_PLUGIN = {
   // 'prod_XXXXXXXXXXXXXX': 'Plugin One',
   // 'prod_YYYYYYYYYYYYYY': 'Plugin Two',
 };
 
+/**
+ * Stripe metadata keys read for each field. Several keys per field are
+ * aliases, tried in order (e.g. plugin_id: PluginId, then order_reference).
+ */
+const METADATA_KEYS = {
+  plugin:         ['Plugin'],
+  plugin_id:      ['PluginId', 'order_reference'],
+  client_name:    ['ClientName'],
+  framer_user_id: ['framer_user_id'],
+  seats:          ['Seats', 'seats']
+};
+
+/**
+ * Header text of the purchases sheet column for each field. Missing columns
+ * are created on the first webhook. FramerEndpoint.js reads the same ones.
+ */
+const COLUMN_HEADERS = {
+  client_name:     'Client Name',
+  client_email:    'Client Email',
+  paid_at:         'Paid At',
+  access_code:     'Access Code',
+  plugin_name:     'Plugin Name',
+  framer_user_id:  'Framer User ID',
+  event_id:        'Event ID',
+  status:          'Status',
+  revoked_at:      'Revoked At',
+  last_event_at:   'Last Event At',
+  subscription_id: 'Subscription ID',
+  expires_at:      'Expires At',
+  license_key:     'License Key',
+  sent_at:         'Sent At',
+  seats:           'Seats',
+  transfer_count:  'Transfer Count',
+  last_transfer_at: 'Last Transfer At',
+  last_recovery_at: 'Last Recovery At',
+  type:            'Type',
+  alternate_codes: 'Alternate Codes',
+  mode:            'Mode',
+  amount:          'Amount',
+  amount_received: 'Amount Received',
+  currency:        'Currency',
+  customer_id:     'Customer ID',
+  discount:        'Discount',
+  tax:             'Tax',
+  payment_method:  'Payment Method',
+  plugin_amount:   'Plugin Amount',
+  amount_refunded: 'Amount Refunded'
+};
+
+/**
+ * Config tab (optional, shared with FramerEndpoint.js)
+ *
+ * - CONFIG_SHEET_NAME:
+ *     Tab with columns  Key | Value  that overrides SHEET_NAME,
+ *     PRODUCT_ID_TO_PLUGIN, METADATA_KEYS and COLUMN_HEADERS without editing
+ *     either script. Keys:
+ *       sheet_name          Purchases tab
+ *       product.<prod_id>   Plugin name for a product (added to PRODUCT_ID_TO_PLUGIN,
+ *                           or to the tenant's products)
+ *       metadata.<field>    Comma-separated metadata keys for a METADATA_KEYS field
+ *       column.<field>      Header text for a COLUMN_HEADERS field
+ *     Run createConfigSheet() once to create the tab prefilled with the values
+ *     above, and checkConfig() after editing it. Missing values and conflicts
+ *     (a key listed twice, two fields sharing a header or metadata key) stop
+ *     both scripts with an error instead of writing to the wrong column.
+ */
+const CONFIG_SHEET_NAME = 'Config';
+
+/**
+ * Purchase lifecycle values written to the Status column.
+ *
+ * - STATUS_PAID is only written into an empty Status cell, so a late or
+ *   retried success event never un-revokes a refunded/disputed purchase.
+ * - REVOKING_STATUSES stamp "Revoked At"; any other lifecycle status written by
+ *   a refund/dispute event (e.g. dispute_won) clears it again.
+ * - The verifier (FramerEndpoint.js) answers valid:false for revoking statuses.
+ */
+const STATUS_PAID       = 'paid';
+const REVOKING_STATUSES = ['refunded', 'disputed', 'dispute_lost', 'canceled'];
+
+/**
+ * Subscription licensing
+ *
+ * - SUBSCRIPTION_GRACE_DAYS:
+ *     Extra days added to a subscription's paid-through date when writing
+ *     Expires At, so a late renewal payment doesn't lock users out. 0 = none.
+ *     Not applied when a subscription is deleted (it ends when Stripe says so).
+ *
+ * - INVOICE_PAYMENTS_FROM_INVOICE_PAID:
+ *     true → payments that belong to an invoice are recorded from invoice.paid
+ *     only; their payment_intent.succeeded / charge.succeeded events are
+ *     skipped (ledger outcome "skipped_invoice"), so a subscription renewal
+ *     never creates a new row. Turn it on when you sell subscriptions AND the
+ *     webhook receives invoice.paid. false → those events are recorded like
+ *     any other payment, with the Invoice ID as Access Code; a renewal's
+ *     payment row is then expired by the renewal's invoice.paid (see
+ *     upsertPurchase), so it never verifies past the subscription.
+ */
+const SUBSCRIPTION_GRACE_DAYS            = 3;
+const INVOICE_PAYMENTS_FROM_INVOICE_PAID = false;
+
+/**
+ * License keys
+ *
+ * - LICENSE_KEY_PREFIXES:
+ *     Optional per-plugin key prefix (letters only), e.g. 'Grid': 'GRID' gives
+ *     keys like GRID-7KQ2-M9XP-4TZC. Plugins not listed get no prefix.
+ *
+ * Keys use LICENSE_KEY_ALPHABET (no 0/O, 1/I) and end with a checksum
+ * character. The verifier (FramerEndpoint.js) uses the same alphabet and
+ * checksum — keep both files in sync.
+ */
+const LICENSE_KEY_PREFIXES = {
+  // 'Grid': 'GRID',
+  // 'Globe': 'GLOBE',
+};
+const LICENSE_KEY_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+/**
+ * Access code emails (optional)
+ *
+ * - SEND_ACCESS_CODE_EMAILS:
+ *     true → once a row has an email, a plugin and a code, the buyer is emailed
+ *     their License Key (or Access Code) via MailApp. "Sent At" is stamped so
+ *     the several events of one payment never send twice.
+ *
+ * - EMAIL_TEMPLATES_SHEET_NAME:
+ *     Optional tab with columns  Plugin | Subject | HTML Body.  A row with an
+ *     empty Plugin (or "*") is the default; other rows override it per plugin.
+ *     Without the tab, the script properties EMAIL_TEMPLATE_SUBJECT /
+ *     EMAIL_TEMPLATE_HTML are used (".<id>" for tenants, see TENANTS), then
+ *     DEFAULT_EMAIL_TEMPLATE below.
+ *
+ * Placeholders: {{client_name}} {{client_email}} {{plugin_name}} {{access_code}}
+ *               {{license_key}} {{receipt_number}}
+ */
+const SEND_ACCESS_CODE_EMAILS    = false;
+const EMAIL_TEMPLATES_SHEET_NAME = 'Email Templates';
+const DEFAULT_EMAIL_TEMPLATE = {
+  subject: 'Your {{plugin_name}} access code',
+  html:
+    '<p>Hi {{client_name}},</p>' +
+    '<p>Thanks for buying <b>{{plugin_name}}</b>! Your access code is:</p>' +
+    '<p style="font-size:20px;font-family:monospace"><b>{{access_code}}</b></p>' +
+    '<p>To activate: open {{plugin_name}} in Framer, enter <b>{{client_email}}</b> ' +
+    'and the code above, and click Activate.</p>' +
+    '<p>Keep this email — you will need the code again on a new account.</p>'
+};
+
 /**
  * Optional: Simple shared-secret protection.
  *
@@ -51,9 +305,49 @@ const PRODUCT_ID_TO_PLUGIN = {
  * - Value can be any long random string.
  * - In your Stripe webhook URL, append "?token=YOUR_SECRET".
  * - If you don't want token auth, leave this unset or null.
+ * - Tenants use "WEBHOOK_TOKEN.<id>" instead (see TENANTS).
  */
 const WEBHOOK_TOKEN = PropertiesService.getScriptProperties().getProperty('WEBHOOK_TOKEN') || null;
 
+/**
+ * Stripe signature verification (recommended for production).
+ *
+ * - In Apps Script: Project Settings → Script properties → add key "STRIPE_SIGNING_SECRETS".
+ * - Value is your endpoint's signing secret (whsec_...) from Stripe Dashboard → Webhooks.
+ * - To rotate secrets, list several separated by commas; an event signed with ANY of
+ *   them is accepted. Remove the old secret once Stripe stops using it.
+ * - Apps Script does not expose request headers, so the Stripe-Signature header must
+ *   be forwarded by a relay as the "stripe_signature" URL parameter, together with the
+ *   UNMODIFIED request body (see README → "Stripe Signature Relay").
+ * - If no secrets are set, signatures are not checked.
+ * - Tenants use "STRIPE_SIGNING_SECRETS.<id>" instead (see TENANTS). Once any
+ *   secret is set (plain or for a tenant), events of a tenant without its
+ *   own secrets are rejected (reason "no_signing_secret").
+ */
+const STRIPE_SIGNING_SECRETS = String(
+  PropertiesService.getScriptProperties().getProperty('STRIPE_SIGNING_SECRETS') || ''
+).split(',').map(s => s.trim()).filter(Boolean);
+
+/**
+ * Maximum age (in seconds) of a signature timestamp before the event is rejected
+ * as a possible replay. 300 matches the default of Stripe's own libraries.
+ */
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+/**
+ * Error responses share the error format of FramerEndpoint.js's v=2 API:
+ *   { v: 2, ok: false, status, code, message, request_id, ... }
+ * (plus the previous `error` text). Error code → HTTP-like status; Apps
+ * Script always answers HTTP 200. Same codes as API_CODES in
+ * FramerEndpoint.js — keep both in sync.
+ */
+const API_ERROR_STATUS = {
+  bad_request:       400,
+  invalid_signature: 401,
+  config_error:      500,
+  internal_error:    500
+};
+
 
 // ===== Routes =====
 
@@ -67,59 +361,82 @@ function doPost(e) {
   let evtId = 'unknown_id';
   
   try {
-    if (!e || !e.postData) throw new Error('No POST body');
+    if (!e || !e.postData) throw apiError('bad_request', 'No POST body');
+
+    // 1) Tenant (see TENANTS): the URL's tenant parameter, else the event's
+    //    Connect account. The checks below use that tenant's secrets.
+    const incoming = parseIncoming(e);
+    evtId = String(incoming.id || '');
+    useTenant(webhookTenant(e.parameter && e.parameter.tenant, incoming.account));
 
-    // 1) Optional URL token auth (uncomment to use)
+    // 1a) Optional URL token auth (uncomment to use)
     /*
-    if (WEBHOOK_TOKEN) {
-      const okToken = e.parameter && e.parameter.token === WEBHOOK_TOKEN;
-      if (!okToken) throw new Error('Invalid webhook token');
+    if (TENANT.webhook_token) {
+      const okToken = e.parameter && e.parameter.token === TENANT.webhook_token;
+      if (!okToken) throw apiError('bad_request', 'Invalid webhook token');
     }
     */
 
-    // 2) Parse the incoming Stripe event (handles JSON + form-encoded)
-    const incoming = parseIncoming(e);
-    evtId = String(incoming.id || '');
+    // 1b) Stripe-Signature verification (enabled by setting STRIPE_SIGNING_SECRETS).
+    //     Fails closed: a tenant without secrets is refused if any are set.
+    if (TENANT.signing_secrets.length || signingSecretsConfigured()) {
+      const sig = !TENANT.signing_secrets.length ? { ok: false, reason: 'no_signing_secret' } : verifyStripeSignature(
+        e.postData.contents || '',
+        (e.parameter && e.parameter.stripe_signature) || '',
+        TENANT.signing_secrets
+      );
+      if (!sig.ok) {
+        Logger.log(JSON.stringify({ rejected: 'Invalid Stripe signature', reason: sig.reason }));
+        return jsonError('invalid_signature', 'Invalid Stripe signature', { rejected: true, reason: sig.reason });
+      }
+    }
+
+    // 2) Check the event ID (parsed above; handles JSON + form-encoded)
     if (!evtId.startsWith('evt_')) {
       return json({ ok: true, skipped: 'No valid event ID' });
     }
     
-    // 3) Normalize the event into a "row object" for the sheet
     eventType = String(incoming.type || 'unknown_type').trim();
-    const row = normalizeStripeEventToSheetRow(incoming); 
-
-    // If normalization fails (e.g., unhandled event type, or not succeeded), skip.
-    if (!row) {
-      Logger.log(JSON.stringify({
-        handled_event: evtId,
-        type: eventType,
-        skipped: 'Normalization failed/unhandled event type or status'
-      }));
-      return json({ ok: true, skipped: eventType });
-    }
-    
-    // 4) Implement concurrency lock to prevent race conditions during UPSERT
+
+    // 3) Implement concurrency lock to prevent race conditions during UPSERT
     const lock = LockService.getScriptLock();
     // Try to acquire lock for up to 10 seconds
     const lockAcquired = lock.tryLock(10000); 
 
     if (!lockAcquired) {
       // Another webhook execution is currently writing to the sheet.
+      // Park the event in the pending queue; drainWebhookQueue() applies it later.
+      enqueueStripeEvent(incoming);
       Logger.log(JSON.stringify({ 
         handled_event: evtId, 
         type: eventType, 
-        skipped: 'Lock contention: Skipping due to concurrent sheet access.' 
+        queued: 'Lock contention: Event stored in the pending queue.' 
       }));
-      return json({ ok: true, skipped: 'Lock Contention (Processed by another event)' });
+      return json({ ok: true, queued: true, event_id: evtId });
     }
 
-    // 5) Lock acquired, proceed with UPSERT
+    // 4) Lock acquired: check the ledger, normalize and UPSERT
     try {
-      const result = upsertPurchase(row);
+      const result = processStripeEvent(incoming);
       Logger.log(JSON.stringify({ handled_event: evtId, type: eventType, write: result }));
 
+      // Already processed (Stripe retry or duplicate delivery) → nothing was written
+      if (result.duplicate) {
+        return json({ ok: true, duplicate: true, outcome: result.outcome, event_id: evtId });
+      }
+      // Unhandled event type, or not a succeeded payment
+      if (result.skipped) {
+        return json({ ok: true, skipped: result.skipped });
+      }
+
       // Successful processing returns ok: true
-      return json({ ok: true, mode: result.mode, receipt_number: result.access_code, pi_id: result.pi_id });
+      return json({
+        ok: true,
+        mode: result.mode,
+        receipt_number: result.access_code,
+        pi_id: result.pi_id,
+        subscription_id: result.subscription_id || undefined
+      });
         
     } finally {
       // CRITICAL: Ensure the lock is always released
@@ -132,16 +449,145 @@ function doPost(e) {
     
     // Return a JSON response with status 200 (implicit) but ok: false
     // to stop Stripe retries gracefully.
-    return json({ ok: false, error: String(err), event_id: evtId });
+    return jsonError(err.code || 'internal_error', err.message || String(err), { error: String(err), event_id: evtId });
   }
 }
 
 /**
  * Handles a simple GET request for testing purposes.
- * - You can visit the web app URL in a browser to see this.
+ * - You can visit the web app URL in a browser to see this (add
+ *   ?tenant=<id> for a tenant, see TENANTS).
+ * - `modes` shows which Stripe modes recent events came from (see
+ *   recentEventModes()). Anyone can call this, so it only reads, and
+ *   reports neither counts nor times.
+ */
+function doGet(e) {
+  try {
+    useTenant(webhookTenant(e && e.parameter && e.parameter.tenant, ''));
+    return json({ ok: true, message: 'Stripe webhook endpoint is live.', modes: recentEventModes() });
+  } catch (err) {
+    return jsonError(err.code || 'internal_error', err.message || String(err), { error: String(err) });
+  }
+}
+
+
+// ----------------------------------------------------------------------
+// ===== Stripe Signature Verification =====
+// ----------------------------------------------------------------------
+
+/**
+ * Verifies a Stripe-Signature header value against the raw request body.
+ * Follows Stripe's published scheme:
+ *  - Header looks like "t=1492774577,v1=5257a869...,v1=...,v0=..."
+ *  - Expected signature = HMAC-SHA256(secret, t + "." + rawBody), hex encoded
+ *  - Any v1 entry matching any configured secret is accepted (secret rotation)
+ *  - The timestamp must be within SIGNATURE_TOLERANCE_SECONDS of now (replay protection)
+ *
+ * @param {string} payload The raw, unmodified request body.
+ * @param {string} header The Stripe-Signature header value.
+ * @param {string[]} secrets Signing secrets (whsec_...) to try, in order.
+ * @param {number=} nowSeconds Current Unix time (defaults to the real clock).
+ * @returns {{ok: boolean, reason?: string, secret_index?: number}}
+ */
+function verifyStripeSignature(payload, header, secrets, nowSeconds) {
+  const parsed = parseStripeSignatureHeader(header);
+  if (!parsed.timestamp || parsed.v1.length === 0) {
+    return { ok: false, reason: 'malformed_header' };
+  }
+
+  const signedPayload = parsed.timestamp + '.' + payload;
+  let secretIndex = -1;
+  for (let i = 0; i < secrets.length && secretIndex < 0; i++) {
+    const expected = computeStripeSignature(signedPayload, secrets[i]);
+    if (parsed.v1.some(sig => secureEquals(sig, expected))) secretIndex = i;
+  }
+  if (secretIndex < 0) return { ok: false, reason: 'no_matching_signature' };
+
+  // Checked after the signature (as Stripe's libraries do), so the timestamp is trusted.
+  const now = nowSeconds !== undefined ? nowSeconds : Math.floor(Date.now() / 1000);
+  if (Math.abs(now - parsed.timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    return { ok: false, reason: 'timestamp_outside_tolerance' };
+  }
+
+  return { ok: true, secret_index: secretIndex };
+}
+
+/**
+ * Splits a Stripe-Signature header into its timestamp and v1 signatures.
+ * Unknown schemes (e.g. v0, used for test-mode legacy signatures) are ignored.
+ */
+function parseStripeSignatureHeader(header) {
+  const out = { timestamp: 0, v1: [] };
+  String(header || '').split(',').forEach(part => {
+    const eq = part.indexOf('=');
+    if (eq < 0) return;
+    const k = part.slice(0, eq).trim();
+    const v = part.slice(eq + 1).trim();
+    if (k === 't' && /^\d+$/.test(v)) out.timestamp = Number(v);
+    if (k === 'v1' && v) out.v1.push(v.toLowerCase());
+  });
+  return out;
+}
+
+/**
+ * Hex-encoded HMAC-SHA256 of the signed payload, keyed with the signing secret.
+ */
+function computeStripeSignature(signedPayload, secret) {
+  const bytes = Utilities.computeHmacSha256Signature(signedPayload, secret, Utilities.Charset.UTF_8);
+  return bytes.map(b => ('0' + (b & 0xff).toString(16)).slice(-2)).join('');
+}
+
+/**
+ * Compares two strings in time independent of where they first differ.
+ */
+function secureEquals(a, b) {
+  a = String(a);
+  b = String(b);
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+/**
+ * Self-test for the signature verifier. Run it from the Apps Script editor
+ * (select "testStripeSignatureVerification" → Run) after editing this file.
+ *
+ * The expected signatures are fixed test vectors computed independently with
+ * Stripe's algorithm: HMAC-SHA256(secret, "1700000000." + payload), hex encoded.
  */
-function doGet() {
-  return json({ ok: true, message: 'Stripe webhook endpoint is live.' });
+function testStripeSignatureVerification() {
+  const payload = '{"id":"evt_test_webhook","object":"event"}';
+  const t       = 1700000000;
+  const sigA    = 'd95c6b7477fbd7e9f90b1b0ef5f9c7ac25abca5382460e0d988c2b2a5b71b990'; // whsec_test_secret
+  const sigB    = 'e2bff083fec7577d1157ff09cbdb4504baf653937eef5e4dad80ea63dbcf65e3'; // whsec_rotated_secret
+  const secrets = ['whsec_rotated_secret', 'whsec_test_secret'];
+
+  const cases = [
+    { name: 'matches test vector',          payload, header: 't=' + t + ',v1=' + sigA,               now: t,       expect: true },
+    { name: 'accepts rotated secret',       payload, header: 't=' + t + ',v1=' + sigB,               now: t,       expect: true },
+    { name: 'accepts any listed v1',        payload, header: 't=' + t + ',v1=deadbeef,v1=' + sigA,   now: t,       expect: true },
+    { name: 'accepts edge of tolerance',    payload, header: 't=' + t + ',v1=' + sigA,               now: t + 300, expect: true },
+    { name: 'rejects stale timestamp',      payload, header: 't=' + t + ',v1=' + sigA,               now: t + 301, expect: 'timestamp_outside_tolerance' },
+    { name: 'rejects tampered payload',     payload: payload + ' ', header: 't=' + t + ',v1=' + sigA, now: t,      expect: 'no_matching_signature' },
+    { name: 'rejects tampered timestamp',   payload, header: 't=' + (t + 1) + ',v1=' + sigA,         now: t,       expect: 'no_matching_signature' },
+    { name: 'rejects v0 only',              payload, header: 't=' + t + ',v0=' + sigA,               now: t,       expect: 'malformed_header' },
+    { name: 'rejects missing header',       payload, header: '',                                     now: t,       expect: 'malformed_header' },
+  ];
+
+  const failures = [];
+  cases.forEach(c => {
+    const res = verifyStripeSignature(c.payload, c.header, secrets, c.now);
+    const pass = c.expect === true ? res.ok : (!res.ok && res.reason === c.expect);
+    if (!pass) failures.push(c.name + ' → ' + JSON.stringify(res));
+  });
+
+  if (computeStripeSignature(t + '.' + payload, 'whsec_test_secret') !== sigA) {
+    failures.push('computeStripeSignature does not match test vector');
+  }
+
+  if (failures.length) throw new Error('Signature self-test failed:\n' + failures.join('\n'));
+  Logger.log('Signature self-test passed (' + (cases.length + 1) + ' checks)');
 }
 
 
@@ -153,7 +599,8 @@ function doGet() {
  * Converts a Stripe event object into a standardized "row object" for the sheet.
  * This function:
  *  - Filters only certain event types
- *  - Only processes successful payments
+ *  - Only processes successful payments, plus refunds/disputes/cancellations
+ *    (which only carry the Payment Intent ID and the new Status)
  *  - Extracts data consistently across event types
  *
  * @param {Object} evt The parsed Stripe event payload.
@@ -172,20 +619,38 @@ function normalizeStripeEventToSheetRow(evt) {
     client_email:   null,
     paid_at:        paidAt,
     access_code:    null,     // TARGET: Receipt Number / Invoice ID
-    plugin_name:    null,
+    alternate_codes: [],      // Other codes the purchase is known by (see canonicalCode)
+    plugin_name:    null,     // First plugin; see plugin_names
+    plugin_names:   [],       // Every plugin bought (one sheet row each)
     framer_user_id: null,
-    event_id:       null      // TARGET: Payment Intent ID (pi_...) - THE UNIQUE LOOKUP KEY
+    seats:          null,     // Seats for plugin_name (see seat_counts)
+    seat_counts:    {},       // Normalized plugin name → seats ('' = any plugin)
+    event_id:       null,     // TARGET: Payment Intent ID (pi_...) - THE UNIQUE LOOKUP KEY
+    last_event_at:  eventDate(evt), // evt.created, used to ignore out-of-order events
+    mode:           eventMode(evt), // live | test (Stripe test mode)
+    amount:         null,     // Total charged, in major units (see stripeAmount)
+    amount_received: null,    // Amount actually collected
+    currency:       null,     // ISO code, upper case (USD)
+    customer_id:    null,     // cus_...
+    discount:       null,     // Coupon / promotion codes applied (comma-separated)
+    tax:            null,     // Tax included in amount
+    payment_method: null,     // Payment method type (card, sepa_debit, ...)
+    plugin_amount:  null,     // plugin_name's line items, in major units (see plugin_amounts)
+    plugin_amounts: {},       // Normalized plugin name → line item amount
+    amount_refunded: null,    // Total refunded so far (charge.refunded)
+    invoice_id:     null,     // in_... a payment event belongs to (see upsertPurchase)
+    renewal_payment: null,    // Renewal invoice.paid: what was paid, for the ledger
+    status:         null,     // Lifecycle: paid | partially_refunded | refunded | disputed | ...
+    subscription_id: null,    // sub_... (subscriptions only) - lookup key before event_id
+    expires_at:     null,     // Date the license stops verifying (subscriptions only)
+    revoked_at:     null,     // Date when revoked, '' to clear (dispute won)
+    update_only:    false     // true → never append a new row for this event
   };
 
-  /**
-   * Unified product ID extraction (used for plugin name mapping):
-   * - You can send plugin/product info via metadata.PluginId or metadata.order_reference
-   * - For some PaymentIntent flows, Stripe uses payment_details.order_reference
-   */
-  const productId =
-    (obj.metadata && (obj.metadata.PluginId || obj.metadata.order_reference)) ||
-    (obj.payment_details && obj.payment_details.order_reference) ||
-    null;
+  // With INVOICE_PAYMENTS_FROM_INVOICE_PAID, invoice payments (incl. every
+  // subscription renewal) are recorded from invoice.* events, which carry the
+  // Subscription ID, so a renewal never creates a new row.
+  if (isSkippedInvoicePayment(evt)) return null;
 
   // ----- payment_intent.succeeded ------------------------------------
   if (t === 'payment_intent.succeeded') {
@@ -193,14 +658,22 @@ function normalizeStripeEventToSheetRow(evt) {
     
     row.event_id    = String(obj.id || '').trim();       // Payment Intent ID (pi_...)
     row.access_code = String(obj.invoice || '').trim();  // Invoice ID (may be empty)
+    row.invoice_id  = stripeId(obj.invoice);
+    row.status      = STATUS_PAID;
 
-    // Plugin Mapping: Prefer explicit Plugin in metadata, otherwise map productId via dictionary
-    row.plugin_name = (obj.metadata && obj.metadata.Plugin) ||
-                      (productId ? PRODUCT_ID_TO_PLUGIN[productId] : null);
+    // Plugin Mapping: Prefer explicit Plugin in metadata, otherwise map product IDs via dictionary
+    row.plugin_names = pluginNamesFor(obj);
 
     row.client_email   = obj.receipt_email || null;
-    row.framer_user_id = (obj.metadata && obj.metadata.framer_user_id) || null;
-    row.client_name    = (obj.metadata && obj.metadata.ClientName)      || null;
+    row.framer_user_id = metadataValue(obj.metadata, 'framer_user_id');
+    row.client_name    = metadataValue(obj.metadata, 'client_name');
+    row.seat_counts    = seatCounts(obj);
+
+    row.amount          = stripeAmount(obj.amount, obj.currency);
+    row.amount_received = stripeAmount(obj.amount_received, obj.currency);
+    row.currency        = currencyCode(obj.currency);
+    row.customer_id     = stripeId(obj.customer);
+    row.payment_method  = singleValue(obj.payment_method_types);
   }
 
   // ----- charge.succeeded --------------------------------------------
@@ -211,20 +684,29 @@ function normalizeStripeEventToSheetRow(evt) {
     if (!piId) return null;
 
     row.event_id = piId;
+    row.status   = STATUS_PAID;
     
     // Prioritize receipt number, fall back to invoice ID
     const receipt = String(obj.receipt_number || '').trim();
     row.access_code = receipt || String(obj.invoice || '').trim();
+    row.alternate_codes = [obj.receipt_number, obj.receipt_url, obj.invoice];
+    row.invoice_id = stripeId(obj.invoice);
     
     row.client_name  = (obj.billing_details && obj.billing_details.name)  || null;
     row.client_email = (obj.billing_details && obj.billing_details.email) ||
                        obj.receipt_email                                   || null;
 
-    // Plugin Mapping: Prefer explicit Plugin in metadata, otherwise map productId via dictionary
-    row.plugin_name = (obj.metadata && obj.metadata.Plugin) ||
-                      (productId ? PRODUCT_ID_TO_PLUGIN[productId] : null);
+    // Plugin Mapping: Prefer explicit Plugin in metadata, otherwise map product IDs via dictionary
+    row.plugin_names = pluginNamesFor(obj);
 
-    row.framer_user_id = (obj.metadata && obj.metadata.framer_user_id) || null;
+    row.framer_user_id = metadataValue(obj.metadata, 'framer_user_id');
+    row.seat_counts    = seatCounts(obj);
+
+    row.amount          = stripeAmount(obj.amount, obj.currency);
+    row.amount_received = stripeAmount(obj.amount_captured, obj.currency);
+    row.currency        = currencyCode(obj.currency);
+    row.customer_id     = stripeId(obj.customer);
+    row.payment_method  = (obj.payment_method_details && obj.payment_method_details.type) || null;
   }
 
   // ----- checkout.session.* ------------------------------------------
@@ -237,179 +719,2160 @@ function normalizeStripeEventToSheetRow(evt) {
     if (!piId) return null;
 
     row.event_id = piId;
+    row.status   = STATUS_PAID;
 
     // Access code: invoice if present, otherwise the Checkout Session ID
     row.access_code = String(obj.invoice || obj.id || '').trim();
+    row.alternate_codes = [obj.invoice, obj.id];
 
     row.client_name  = (obj.customer_details && obj.customer_details.name)  || null;
     row.client_email = (obj.customer_details && obj.customer_details.email) || null;
 
-    // Plugin Mapping: Prefer explicit Plugin in metadata, otherwise map productId via dictionary
-    row.plugin_name = (obj.metadata && obj.metadata.Plugin) ||
-                      (productId ? PRODUCT_ID_TO_PLUGIN[productId] : null);
+    // Plugin Mapping: Prefer explicit Plugin in metadata, otherwise map product IDs via dictionary
+    row.plugin_names = pluginNamesFor(obj);
+
+    row.framer_user_id = metadataValue(obj.metadata, 'framer_user_id');
+    row.seat_counts    = seatCounts(obj);
+
+    // Paid sessions collected amount_total
+    const totals = obj.total_details || {};
+    row.amount          = stripeAmount(obj.amount_total, obj.currency);
+    row.amount_received = row.amount;
+    row.currency        = currencyCode(obj.currency);
+    row.customer_id     = stripeId(obj.customer);
+    row.discount        = discountCodes(obj);
+    row.tax             = stripeAmount(totals.amount_tax, obj.currency);
+    row.payment_method  = singleValue(obj.payment_method_types);
+    row.plugin_amounts  = pluginAmounts(obj);
+  }
+
+  // ----- invoice.paid ------------------------------------------------
+  // First invoice creates the row; renewals (billing_reason
+  // subscription_cycle/update) only extend Expires At on the existing row.
+  else if (t === 'invoice.paid') {
+    const subId   = invoiceSubscriptionId(obj);
+    const renewal = obj.billing_reason === 'subscription_cycle' ||
+                    obj.billing_reason === 'subscription_update';
+    const meta    = invoiceMetadata(obj);
+
+    row.subscription_id = subId || null;
+    row.status          = STATUS_PAID;
+    row.plugin_names    = pluginNamesFor(obj, meta);
+    row.client_name     = obj.customer_name  || metadataValue(meta, 'client_name');
+    row.client_email    = obj.customer_email || null;
+    row.customer_id     = stripeId(obj.customer);
+    row.framer_user_id  = metadataValue(meta, 'framer_user_id');
+    row.seat_counts     = seatCounts(obj, meta); // renewals after a quantity change update Seats
+
+    if (subId) {
+      const periodEnd = invoicePeriodEnd(obj);
+      row.expires_at  = periodEnd ? addDays(periodEnd, SUBSCRIPTION_GRACE_DAYS) : null;
+    }
+
+    if (renewal) {
+      row.paid_at = null;  // keep the original purchase date, code, PI and amounts
+      // ...but the ledger records the renewal payment (see rebuildRevenueSummary)
+      const paidAt = (obj.status_transitions && obj.status_transitions.paid_at) || obj.created;
+      row.renewal_payment = {
+        subscription_id: subId,
+        pi_id:           String(obj.payment_intent || '').trim(),
+        paid_at:         paidAt ? new Date(Number(paidAt) * 1000) : eventDate(evt),
+        amount:          stripeAmount(obj.total, obj.currency),
+        amount_received: stripeAmount(obj.amount_paid, obj.currency),
+        tax:             stripeAmount(invoiceTax(obj), obj.currency),
+        currency:        currencyCode(obj.currency)
+      };
+    } else {
+      row.event_id    = String(obj.payment_intent || '').trim(); // empty for $0 invoices
+      row.access_code = String(obj.receipt_number || obj.id || '').trim();
+      row.alternate_codes = [obj.receipt_number, obj.id, obj.number, obj.hosted_invoice_url];
+
+      row.amount          = stripeAmount(obj.total, obj.currency);
+      row.amount_received = stripeAmount(obj.amount_paid, obj.currency);
+      row.currency        = currencyCode(obj.currency);
+      row.discount        = discountCodes(obj);
+      row.tax             = stripeAmount(invoiceTax(obj), obj.currency);
+      row.payment_method  = singleValue(obj.payment_settings && obj.payment_settings.payment_method_types);
+      row.plugin_amounts  = pluginAmounts(obj);
+    }
+  }
+
+  // ----- invoice.payment_failed --------------------------------------
+  // Informational only: access continues until Expires At (incl. grace).
+  else if (t === 'invoice.payment_failed') {
+    const subId = invoiceSubscriptionId(obj);
+    if (!subId) return null;
+    row.subscription_id = subId;
+    row.paid_at         = null;
+    row.status          = 'past_due';
+    row.update_only     = true;
+  }
+
+  // ----- customer.subscription.updated / .deleted --------------------
+  else if (t === 'customer.subscription.updated' || t === 'customer.subscription.deleted') {
+    row.subscription_id = String(obj.id || '').trim();
+    row.paid_at         = null;
+    row.update_only     = true;
+
+    if (t === 'customer.subscription.deleted') {
+      row.status     = 'ended';
+      row.expires_at = new Date(Number(obj.ended_at || evt.created) * 1000);
+    } else if (obj.status === 'active' || obj.status === 'trialing') {
+      const periodEnd = subscriptionPeriodEnd(obj);
+      row.expires_at  = periodEnd ? addDays(periodEnd, SUBSCRIPTION_GRACE_DAYS) : null;
+      row.seat_counts = seatCounts(obj);
+    } else {
+      row.status = obj.status || null; // e.g. past_due / unpaid – expiry handles access
+    }
+  }
+
+  // ----- charge.refunded ---------------------------------------------
+  // Refund / dispute / cancellation events only update purchases we already
+  // recorded (update_only), e.g. a refunded renewal payment never adds a row.
+  // Fired for every refund; obj.refunded is only true once fully refunded.
+  // Partial refunds are recorded in Status but do NOT revoke the purchase.
+  else if (t === 'charge.refunded') {
+    row.event_id   = String(obj.payment_intent || '').trim();
+    row.paid_at    = null; // obj.created is the charge time, already recorded
+    row.status     = obj.refunded ? 'refunded' : 'partially_refunded';
+    row.revoked_at = obj.refunded ? eventDate(evt) : null;
+    row.amount_refunded = stripeAmount(obj.amount_refunded, obj.currency); // cumulative
+    row.update_only = true;
+  }
+
+  // ----- charge.dispute.created / charge.dispute.closed --------------
+  // A dispute revokes access immediately; closing it restores access
+  // unless the dispute was lost.
+  else if (t === 'charge.dispute.created' || t === 'charge.dispute.closed') {
+    row.event_id = String(obj.payment_intent || '').trim();
+    row.paid_at  = null; // obj.created is the dispute time, not the payment time
+
+    if (t === 'charge.dispute.created') {
+      row.status = 'disputed';
+    } else if (obj.status === 'lost') {
+      row.status = 'dispute_lost';
+    } else if (obj.status === 'won') {
+      row.status = 'dispute_won';
+    } else if (obj.status === 'warning_closed') {
+      row.status = 'dispute_closed';
+    } else {
+      return null; // still open (e.g. under_review) – nothing to record
+    }
+    row.revoked_at  = REVOKING_STATUSES.indexOf(row.status) >= 0 ? eventDate(evt) : '';
+    row.update_only = true;
+  }
 
-    row.framer_user_id = (obj.metadata && obj.metadata.framer_user_id) || null;
+  // ----- payment_intent.canceled -------------------------------------
+  // Abandoned checkouts must not create rows.
+  else if (t === 'payment_intent.canceled') {
+    row.event_id    = String(obj.id || '').trim();
+    row.paid_at     = null;
+    row.status      = 'canceled';
+    row.revoked_at  = eventDate(evt);
+    row.update_only = true;
   }
   
-  // If we couldn’t determine a PaymentIntent ID, we can’t upsert reliably.
-  if (!row.event_id) return null;
+  // If we couldn’t determine a PaymentIntent (or Subscription) ID, we can’t upsert reliably.
+  if (!row.event_id && !row.subscription_id) return null;
 
+  row.plugin_name   = row.plugin_names[0] || null;
+  row.seats         = seatCountFor(row.seat_counts, row.plugin_name);
+  row.plugin_amount = pluginAmountFor(row.plugin_amounts, row.plugin_name);
   return row;
 }
 
+/**
+ * Whether evt is the payment_intent.succeeded / charge.succeeded event of an
+ * invoice payment that INVOICE_PAYMENTS_FROM_INVOICE_PAID leaves to
+ * invoice.paid.
+ */
+function isSkippedInvoicePayment(evt) {
+  const t   = String(evt.type || '');
+  const obj = evt.data && evt.data.object;
+  return INVOICE_PAYMENTS_FROM_INVOICE_PAID && !!(obj && obj.invoice) &&
+         (t === 'payment_intent.succeeded' || t === 'charge.succeeded');
+}
 
-// ----------------------------------------------------------------------
-// ===== Sheet Upsert Logic (UPDATES/INSERTS ROW) =====
-// ----------------------------------------------------------------------
+/**
+ * Expands an event into one row object per plugin bought (see
+ * normalizeStripeEventToSheetRow). Events without plugin information
+ * (refunds, disputes, ...) yield a single row that applies to every plugin
+ * row of that payment.
+ *
+ * @param {Object} evt The parsed Stripe event payload.
+ * @returns {Object[]} Row objects (empty if the event should be skipped).
+ */
+function normalizeStripeEventToSheetRows(evt) {
+  const row = normalizeStripeEventToSheetRow(evt);
+  if (!row) return [];
+  if (row.plugin_names.length <= 1) return [row];
+
+  return row.plugin_names.map(name =>
+    Object.assign({}, row, {
+      plugin_name:   name,
+      plugin_names:  [name],
+      seats:         seatCountFor(row.seat_counts, name),
+      plugin_amount: pluginAmountFor(row.plugin_amounts, name)
+    })
+  );
+}
 
 /**
- * UPSERT logic:
- *  - Look up an existing row by PaymentIntent ID (Event ID column).
- *  - If found → update that row with any new/filled values.
- *  - If not found → append a new row at the bottom.
+ * Seats bought in a PaymentIntent / Charge / Checkout Session / Invoice /
+ * Subscription object, keyed by normalized plugin name:
+ *  - metadata.Seats (a positive number) → { '': n } for every plugin, else
+ *  - the quantity of each line item whose product maps to a plugin, plus
+ *    { '': quantity } when there is a single line item.
+ * Returns {} when the object says nothing about seats.
  *
- * Assumes caller has already acquired a LockService lock.
+ * @param {Object} obj The Stripe object (evt.data.object).
+ * @param {Object=} meta Metadata to use instead of obj.metadata.
  */
-function upsertPurchase(rowObj) {
-  const sh = SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(SHEET_NAME);
-  if (!sh) throw new Error('Sheet "' + SHEET_NAME + '" not found');
+function seatCounts(obj, meta) {
+  meta = meta || obj.metadata || {};
+
+  const fromMeta = parseInt(metadataValue(meta, 'seats'), 10);
+  if (fromMeta > 0) return { '': fromMeta };
+
+  const products = getConfig().products;
+  const items    = lineItems(obj).filter(item => item.quantity > 0);
+  const counts   = {};
+  items.forEach(item => {
+    const name = products[item.product];
+    if (name) counts[normalizePluginName(name)] = item.quantity;
+  });
+  if (items.length === 1) counts[''] = items[0].quantity;
+  return counts;
+}
 
-  // These are the ONLY 7 columns the script will interact with.
-  const mustHave = [
-    'Client Name', 'Client Email', 'Paid At', 'Access Code', 'Plugin Name', 'Framer User ID', 'Event ID' 
-  ];
+/**
+ * Seats for one plugin from seatCounts(), or null if unknown.
+ */
+function seatCountFor(counts, pluginName) {
+  const k = normalizePluginName(pluginName);
+  if (k && counts[k]) return counts[k];
+  return counts[''] || null;
+}
 
-  const headers   = ensureHeaders(sh, mustHave);
-  const hmap      = headerIndexMap(headers);
-  
-  const piIdCol = hmap['event_id']; 
-  if (!piIdCol) throw new Error('No "Event ID" column found for PI ID lookup');
-
-  const piId = String(rowObj.event_id || '').trim();
-  if (!piId) throw new Error('Missing Payment Intent ID for lookup');
-
-  const rowIndex = findRowByValue(sh, piIdCol, piId);
-  let mode;
-  let targetRowIndex;
-
-  if (rowIndex > 0) {
-    // 1. UPDATE existing row
-    targetRowIndex = rowIndex;
-    mode = 'updated';
-  } else {
-    // 2. INSERT/APPEND new row
-    targetRowIndex = sh.getLastRow() + 1;
-    sh.insertRowBefore(targetRowIndex); 
-    mode = 'appended';
+/**
+ * Line item amounts of a Checkout Session (expanded line_items) or Invoice,
+ * in major units, summed per normalized plugin name. Returns {} unless
+ * every line item has an amount and maps to a plugin, so a payment's
+ * Plugin Amounts are either all there or all missing.
+ *
+ * @param {Object} obj The Stripe object (evt.data.object).
+ */
+function pluginAmounts(obj) {
+  const products = getConfig().products;
+  const items    = lineItems(obj);
+  const amounts  = {};
+  const complete = items.length > 0 && items.every(item => {
+    const name = products[item.product];
+    if (!name || item.amount === null) return false;
+    const k = normalizePluginName(name);
+    amounts[k] = (amounts[k] || 0) + item.amount;
+    return true;
+  });
+  if (!complete) return {};
+
+  Object.keys(amounts).forEach(k => (amounts[k] = stripeAmount(amounts[k], obj.currency)));
+  return amounts;
+}
+
+/**
+ * Line item amount of one plugin from pluginAmounts(), or null if unknown.
+ */
+function pluginAmountFor(amounts, pluginName) {
+  const k = normalizePluginName(pluginName);
+  return k && amounts[k] !== undefined ? amounts[k] : null;
+}
+
+/**
+ * Plugin names bought in a PaymentIntent / Charge / Checkout Session /
+ * Invoice object, de-duplicated, in order:
+ *  - metadata.Plugin (comma-separated names), else
+ *  - metadata.PluginId / metadata.order_reference / payment_details.order_reference
+ *    (comma-separated prod_... IDs), else
+ *  - product IDs of line_items / invoice lines,
+ * with product IDs mapped through the configured products (unmapped IDs are
+ * dropped). Metadata keys are the configured METADATA_KEYS aliases.
+ *
+ * @param {Object} obj The Stripe object (evt.data.object).
+ * @param {Object=} meta Metadata to use instead of obj.metadata.
+ * @returns {string[]}
+ */
+function pluginNamesFor(obj, meta) {
+  meta = meta || obj.metadata || {};
+
+  const products = getConfig().products;
+
+  let names = splitList(metadataValue(meta, 'plugin'));
+  if (!names.length) {
+    let productIds = splitList(
+      metadataValue(meta, 'plugin_id') ||
+      (obj.payment_details && obj.payment_details.order_reference)
+    );
+    if (!productIds.length) productIds = lineItemProductIds(obj);
+    names = productIds.map(id => products[id]).filter(Boolean);
   }
 
-  writeRowObject(sh, targetRowIndex, hmap, rowObj);
-  
-  return { mode, access_code: rowObj.access_code, pi_id: piId };
+  const seen = {};
+  return names.filter(n => {
+    const k = normalizePluginName(n);
+    if (!k || seen[k]) return false;
+    seen[k] = true;
+    return true;
+  });
 }
 
 
 // ----------------------------------------------------------------------
-// ===== Utility Functions =====
+// ===== Sheet Upsert Logic (UPDATES/INSERTS ROW) =====
 // ----------------------------------------------------------------------
 
 /**
- * Writes an object's properties to a specific sheet row.
- * Implements additive writing:
- *  - Always writes the Paid At timestamp and PaymentIntent ID (Event ID).
- *  - Only writes other fields if they are non-null and non-empty.
+ * UPSERT logic:
+ *  - Look up the purchase's rows by Subscription ID (if any), then by
+ *    PaymentIntent ID (Event ID column).
+ *  - With a plugin name, the key is (ID + Plugin Name): the row for that
+ *    plugin is updated, or else a row of the purchase whose plugin is still
+ *    unknown is claimed. Without one (refunds, disputes, ...), every row of
+ *    the purchase is updated.
+ *  - If found → update those rows with any new/filled values.
+ *    (mode "stale" if the event is older than the row's Last Event At: it
+ *    then only fills empty cells)
+ *  - If not found → append a new row at the bottom (seeded from a sibling
+ *    row of the same purchase, if any).
+ *  - Subscription renewals are paid by a new PaymentIntent. Its
+ *    payment_intent.succeeded / charge.succeeded events would add a row
+ *    that never expires, so the renewal's invoice.paid expires such a row
+ *    (the subscription's own row carries the renewal), and a payment event
+ *    arriving after its renewal invoice.paid is skipped ("skipped_invoice").
  *
- * This prevents a later, "sparser" event from wiping earlier data.
+ * Assumes caller has already acquired a LockService lock.
+ *
+ * @param {Object} rowObj A row object from normalizeStripeEventToSheetRows().
+ * @param {Object=} sheet Sheet to write to (defaults to the purchases sheet);
+ *     the dry-run reconciliation passes an in-memory snapshot here.
  */
-function writeRowObject(sh, row, hmap, obj) {
-  // Map of Header Name -> Row Object Key (ONLY these keys are considered)
-  const map = {
-    'Client Name':    'client_name',
-    'Client Email':   'client_email',
-    'Paid At':        'paid_at',
-    'Access Code':    'access_code',
-    'Plugin Name':    'plugin_name',
-    'Framer User ID': 'framer_user_id',
-    'Event ID':       'event_id'
-  };
+function upsertPurchase(rowObj, sheet) {
+  const sh = sheet || getPurchasesSheet();
 
-  const headerRow = sh.getRange(1, 1, 1, sh.getLastColumn()).getValues()[0];
+  // These are the ONLY columns the script will interact with.
+  const columns  = getConfig().columns;
+  const mustHave = Object.keys(columns).map(field => columns[field]);
 
-  headerRow.forEach((name, i) => {
-    // Check if the sheet header is one of our mapped fields
-    const key = Object.prototype.hasOwnProperty.call(map, name) ? map[name] : null;
-    if (!key) return;
+  const headers   = ensureHeaders(sh, mustHave);
+  const hmap      = purchaseColumnMap(headers);
+  
+  const piIdCol = hmap['event_id']; 
+  if (!piIdCol) throw new Error('No "' + columns.event_id + '" column found for PI ID lookup');
+
+  const piId   = String(rowObj.event_id || '').trim();
+  const subId  = String(rowObj.subscription_id || '').trim();
+  const plugin = normalizePluginName(rowObj.plugin_name);
+  if (!piId && !subId) throw new Error('Missing Payment Intent ID for lookup');
+
+  // Subscriptions: rows are keyed by sub_... (falls back to the first payment's pi_...)
+  let matches = subId ? findRowsByValue(sh, hmap['subscription_id'], subId) : [];
+  if (!matches.length && piId) matches = findRowsByValue(sh, piIdCol, piId);
+
+  const renewalPi = rowObj.renewal_payment && rowObj.renewal_payment.pi_id;
+  if (renewalPi) expireRenewalPaymentRows(sh, hmap, renewalPi, rowObj.renewal_payment.paid_at);
+
+  let targets = matches;
+  if (plugin && matches.length) {
+    const pluginOf = (r) => normalizePluginName(sh.getRange(r, hmap['plugin_name']).getValue());
+    targets = matches.filter(r => pluginOf(r) === plugin);
+    if (!targets.length) targets = matches.filter(r => !pluginOf(r));
+    targets = targets.slice(0, 1);
+  }
 
-    const v = obj[key];
+  const result = {
+    mode: 'updated',
+    access_code: rowObj.access_code,
+    pi_id: piId,
+    subscription_id: subId,
+    plugin_name: rowObj.plugin_name || null,
+    rows: targets
+  };
 
-    // 1. Always write Date objects (Paid At) and the unique identifier (Event ID)
-    if (v instanceof Date || key === 'event_id') {
-      sh.getRange(row, i + 1).setValue(v);
-      return;
+  if (!targets.length) {
+    if (rowObj.update_only) {
+      // Nothing to update (e.g. a canceled PaymentIntent that never succeeded)
+      result.mode = 'skipped';
+      return result;
+    }
+    if (rowObj.invoice_id && isRecordedRenewalPayment(piId)) {
+      result.mode = 'skipped_invoice';
+      return result;
     }
 
-    // 2. For all other fields: Only write if not null/undefined AND not an empty string ("").
-    if (v !== null && v !== undefined && String(v).trim() !== '') {
-      sh.getRange(row, i + 1).setValue(v);
+    // INSERT/APPEND new row
+    const targetRowIndex = sh.getLastRow() + 1;
+    sh.insertRowBefore(targetRowIndex); 
+
+    // Another plugin of a purchase we already know: start from its sibling row
+    // (same customer, code, PI...) minus the per-entitlement fields.
+    if (matches.length) {
+      const lastCol = sh.getLastColumn();
+      const seed    = sh.getRange(matches[0], 1, 1, lastCol).getValues()[0];
+      seed[hmap['plugin_name'] - 1]    = '';
+      seed[hmap['framer_user_id'] - 1] = '';
+      seed[hmap['license_key'] - 1]    = '';
+      ['seats', 'transfer_count', 'last_transfer_at', 'last_recovery_at', 'sent_at'].forEach(field => {
+        if (hmap[field]) seed[hmap[field] - 1] = '';
+      });
+      sh.getRange(targetRowIndex, 1, 1, lastCol).setValues([seed]);
     }
+
+    writeRowObject(sh, targetRowIndex, hmap, rowObj);
+    assignLicenseKey(sh, targetRowIndex, hmap);
+    result.mode = 'appended';
+    result.rows = [targetRowIndex];
+    return result;
+  }
+
+  // UPDATE existing row(s)
+  let staleRows = 0;
+  targets.forEach(rowIndex => {
+    // Out-of-order delivery: an event older than the last one applied to this
+    // row may only fill empty cells, never overwrite newer data.
+    const lastApplied = sh.getRange(rowIndex, hmap['last_event_at']).getValue();
+    const fillOnly = lastApplied instanceof Date && rowObj.last_event_at instanceof Date &&
+                     rowObj.last_event_at.getTime() < lastApplied.getTime();
+    if (fillOnly) staleRows++;
+
+    writeRowObject(sh, rowIndex, hmap, rowObj, { fillOnly });
+    assignLicenseKey(sh, rowIndex, hmap); // rows created before license keys existed
   });
+
+  if (staleRows === targets.length) result.mode = 'stale';
+  return result;
 }
 
 /**
- * Return a JSON response using ContentService.
- * This returns a proper application/json response body, which Stripe accepts
- * as long as the HTTP status is 2xx.
- *
- * @param {Object} o The object to return as JSON.
+ * Expires the rows a renewal's own payment events created (Payment Intent ID
+ * = the renewal's pi_..., no Subscription ID) as of the renewal's payment.
  */
-function json(o) {
-  return ContentService
-    .createTextOutput(JSON.stringify(o))
-    .setMimeType(ContentService.MimeType.JSON);
+function expireRenewalPaymentRows(sh, hmap, piId, paidAt) {
+  if (!hmap['expires_at']) return;
+  findRowsByValue(sh, hmap['event_id'], piId).forEach(rowIndex => {
+    if (String(sh.getRange(rowIndex, hmap['subscription_id']).getValue() || '').trim() !== '') return;
+    const cell = sh.getRange(rowIndex, hmap['expires_at']);
+    if (String(cell.getValue() || '').trim() === '') cell.setValue(paidAt);
+  });
 }
 
 /**
- * Parses the incoming webhook payload.
- * Supports:
- *  - application/json
- *  - application/x-www-form-urlencoded (e.g., payload in a "payload" field)
+ * Whether the ledger already holds the renewal invoice.paid paid by piId
+ * (renewal entries carry a Subscription ID, see writeLedgerEntry).
  */
-function parseIncoming(e) {
-  const ct = String(e.postData.type || '').toLowerCase();
-
-  if (ct.includes('application/json')) {
-    return JSON.parse(e.postData.contents || '{}');
-  }
+function isRecordedRenewalPayment(piId) {
+  const ledger = openSpreadsheet().getSheetByName(LEDGER_SHEET_NAME);
+  if (!ledger || ledger.getLastRow() < 2) return false;
+
+  const lmap = headerIndexMap(ledger.getRange(1, 1, 1, ledger.getLastColumn()).getValues()[0]);
+  if (!lmap['payment_intent_id'] || !lmap['subscription_id']) return false;
+  return findRowsByValue(ledger, lmap['payment_intent_id'], piId).some(r =>
+    String(ledger.getRange(r, lmap['subscription_id']).getValue() || '').trim() !== '');
+}
 
-  if (ct.includes('application/x-www-form-urlencoded')) {
-    const p = e.parameter || {};
-    const out = {};
-    Object.keys(p).forEach(k => out[k] = Array.isArray(p[k]) ? p[k][0] : p[k]);
-    try { return JSON.parse(out.payload || '{}'); } catch (_) { return out; }
-  }
+/**
+ * Gives a row its License Key if it doesn't have one yet. The prefix follows
+ * the row's Plugin Name at that moment; an existing key is NEVER replaced.
+ */
+function assignLicenseKey(sh, rowIndex, hmap) {
+  const keyCell = sh.getRange(rowIndex, hmap['license_key']);
+  if (String(keyCell.getValue() || '').trim() !== '') return;
 
-  // Fallback: attempt to parse as JSON
-  return JSON.parse(e.postData.contents || '{}');
+  const plugin = String(sh.getRange(rowIndex, hmap['plugin_name']).getValue() || '').trim();
+  keyCell.setValue(generateLicenseKey(licenseKeyPrefixFor(plugin)));
 }
 
 /**
- * Normalizes a header name into a lowercase, underscore-separated key.
- * e.g. "Client Name" → "client_name"
+ * Generates a license key: optional PREFIX, then 11 random characters and a
+ * checksum character from LICENSE_KEY_ALPHABET, grouped by 4.
+ *   generateLicenseKey('GRID') → "GRID-7KQ2-M9XP-4TZC"
+ *
+ * @param {string=} prefix Letters only; omitted when empty.
+ * @returns {string}
  */
-function normalizeKey(h) {
-  return String(h || '').trim().toLowerCase().replace(/\s+/g, '_');
+function generateLicenseKey(prefix) {
+  const bytes = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, Utilities.getUuid());
+  let body = '';
+  for (let i = 0; i < 11; i++) body += LICENSE_KEY_ALPHABET[bytes[i] & 31];
+  body += licenseKeyChecksum(body);
+
+  const groups = body.match(/.{4}/g);
+  return (prefix ? [prefix].concat(groups) : groups).join('-');
 }
 
 /**
- * Builds a map: normalized header key → column index (1-based).
+ * Checksum character for the 11 random key characters: position-weighted
+ * sum of their alphabet indexes, mod 31. Catches practically every single
+ * mistyped character and swap of two neighbours.
  */
-function headerIndexMap(headers) {
-  const m = {};
-  headers.forEach((h, i) => {
-    const k = normalizeKey(h);
-    if (k) m[k] = i + 1;
-  });
-  return m;
+function licenseKeyChecksum(chars) {
+  let sum = 0;
+  for (let i = 0; i < chars.length; i++) {
+    sum += (i + 1) * LICENSE_KEY_ALPHABET.indexOf(chars[i]);
+  }
+  return LICENSE_KEY_ALPHABET[sum % 31];
+}
+
+/**
+ * Key prefix configured for a plugin name in LICENSE_KEY_PREFIXES ('' if none).
+ */
+function licenseKeyPrefixFor(pluginName) {
+  const k = normalizePluginName(pluginName);
+  const match = Object.keys(LICENSE_KEY_PREFIXES).find(name => normalizePluginName(name) === k);
+  return match ? String(LICENSE_KEY_PREFIXES[match]).toUpperCase().replace(/[^A-Z]/g, '') : '';
+}
+
+/**
+ * Combines the upsert results of one event's rows into a single result:
+ * the "strongest" mode (appended > updated > stale > skipped >
+ * skipped_invoice) and, for multi-plugin events, the per-plugin results in
+ * `items`.
+ */
+function combineUpsertResults(results) {
+  const order = ['appended', 'updated', 'stale', 'skipped', 'skipped_invoice'];
+  const mode  = order.find(m => results.some(r => r.mode === m)) || 'skipped';
+  const out   = Object.assign({}, results[0], { mode });
+  if (results.length > 1) {
+    out.items = results.map(r => ({ plugin_name: r.plugin_name, mode: r.mode, rows: r.rows }));
+  }
+  return out;
+}
+
+
+// ----------------------------------------------------------------------
+// ===== Webhook Ledger (IDEMPOTENCY) =====
+// ----------------------------------------------------------------------
+
+/**
+ * Processes one Stripe event exactly once, recording it in the ledger sheet.
+ *
+ *  - An event already in the ledger (any outcome except "error") is not
+ *    processed again and returns { duplicate: true, outcome }.
+ *  - Otherwise the event is normalized and upserted, and its outcome
+ *    (appended / updated / stale / skipped / error) is written to the
+ *    ledger row for that evt_ ID. Errors are re-thrown after recording.
+ *
+ * Assumes caller has already acquired a LockService lock.
+ *
+ * @param {Object} evt The parsed Stripe event payload.
+ * @returns {Object} The upsert result, { duplicate, outcome } or { mode: 'skipped', skipped: type }.
+ */
+function processStripeEvent(evt) {
+  const evtId     = String(evt.id || '').trim();
+  const eventType = String(evt.type || 'unknown_type').trim();
+
+  const ledger   = getLedgerSheet();
+  const lmap     = headerIndexMap(ensureHeaders(ledger, LEDGER_HEADERS));
+  const entryRow = findRowByValue(ledger, lmap['event_id'], evtId);
+
+  if (entryRow > 0) {
+    const outcome = String(ledger.getRange(entryRow, lmap['outcome']).getValue() || '').trim();
+    if (outcome && outcome !== 'error') return { duplicate: true, outcome };
+  }
+
+  const entry = {
+    event_id: evtId, type: eventType, received_at: new Date(), outcome: '', pi_id: '', error: '', mode: eventMode(evt),
+    renewal: null
+  };
+  let result;
+
+  try {
+    const rows = normalizeStripeEventToSheetRows(evt);
+    entry.renewal = rows.length ? rows[0].renewal_payment : null;
+    result = rows.length
+      ? combineUpsertResults(rows.map(row => upsertPurchase(row)))
+      : { mode: isSkippedInvoicePayment(evt) ? 'skipped_invoice' : 'skipped', skipped: eventType };
+    if (rows.length) bumpDataVersion();
+  } catch (err) {
+    bumpDataVersion(); // some rows may have been written before the error
+    entry.outcome = 'error';
+    entry.error   = String(err);
+    writeLedgerEntry(ledger, lmap, entryRow, entry);
+    throw err;
+  }
+
+  entry.outcome = result.mode;
+  entry.pi_id   = result.pi_id || (entry.renewal && entry.renewal.pi_id) || '';
+  writeLedgerEntry(ledger, lmap, entryRow, entry);
+
+  if (SEND_ACCESS_CODE_EMAILS && result.rows) {
+    const rows = [];
+    (result.items || [result]).forEach(r => (r.rows || []).forEach(i => rows.push(i)));
+    deliverAccessCodes(rows);
+  }
+  return result;
+}
+
+/**
+ * Gives the purchases sheet a new data version (a random token in
+ * META_SHEET_NAME!B1). FramerEndpoint.js caches verify responses and its
+ * lookup index under it, so call this AFTER writing purchase rows.
+ * Same cell and format as bumpDataVersion_() in FramerEndpoint.js — keep
+ * both in sync.
+ */
+function bumpDataVersion() {
+  const ss = openSpreadsheet();
+  let sh = ss.getSheetByName(META_SHEET_NAME);
+  if (!sh) {
+    sh = ss.insertSheet(META_SHEET_NAME);
+    sh.hideSheet();
+  }
+  const version = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+  sh.getRange(1, 1, 1, 2).setValues([['data_version', version]]);
+}
+
+/**
+ * Ledger sheet columns (row 1). One row per evt_ ID.
+ */
+const LEDGER_HEADERS = [
+  'Event ID', 'Type', 'Received At', 'Outcome', 'Payment Intent ID', 'Error', 'Mode',
+  'Subscription ID', 'Paid At', 'Amount', 'Amount Received', 'Tax', 'Currency'
+];
+
+/**
+ * Returns the ledger sheet, creating it on first use.
+ */
+function getLedgerSheet() {
+  const ss = openSpreadsheet();
+  return ss.getSheetByName(LEDGER_SHEET_NAME) || ss.insertSheet(LEDGER_SHEET_NAME);
+}
+
+/**
+ * Writes a ledger entry to an existing row (retry after an error), or
+ * appends it when rowIndex is 0. Renewal payments also get their
+ * Subscription ID, Paid At and amounts (see rebuildRevenueSummary).
+ */
+function writeLedgerEntry(ledger, lmap, rowIndex, entry) {
+  const target  = rowIndex > 0 ? rowIndex : ledger.getLastRow() + 1;
+  const renewal = entry.renewal || {};
+  const amount  = (v) => (v === null || v === undefined ? '' : v);
+  const values  = {
+    event_id:          entry.event_id,
+    type:              entry.type,
+    received_at:       entry.received_at,
+    outcome:           entry.outcome,
+    payment_intent_id: entry.pi_id,
+    error:             entry.error,
+    mode:              entry.mode,
+    subscription_id:   renewal.subscription_id || '',
+    paid_at:           renewal.paid_at || '',
+    amount:            amount(renewal.amount),
+    amount_received:   amount(renewal.amount_received),
+    tax:               amount(renewal.tax),
+    currency:          renewal.currency || ''
+  };
+  Object.keys(values).forEach(k => {
+    if (lmap[k]) ledger.getRange(target, lmap[k]).setValue(values[k]);
+  });
+}
+
+/**
+ * Stripe modes seen among the last HEALTH_LEDGER_ROWS ledger entries:
+ *   { live: true|false, test: true|false }
+ * Entries written before the Mode column existed count as live. Read-only:
+ * a missing ledger or Mode column is not created.
+ */
+function recentEventModes() {
+  const modes  = { live: false, test: false };
+  const ledger = openSpreadsheet().getSheetByName(LEDGER_SHEET_NAME);
+  const last   = ledger ? ledger.getLastRow() : 0;
+  if (last < 2) return modes;
+
+  const lastCol = ledger.getLastColumn();
+  const cMode   = headerIndexMap(ledger.getRange(1, 1, 1, lastCol).getValues()[0])['mode'];
+  const first   = Math.max(2, last - HEALTH_LEDGER_ROWS + 1);
+  if (!cMode) {
+    modes.live = true;
+    return modes;
+  }
+  ledger.getRange(first, cMode, last - first + 1, 1).getValues().forEach(r => {
+    modes[String(r[0] || '').trim() === 'test' ? 'test' : 'live'] = true;
+  });
+  return modes;
+}
+
+
+// ----------------------------------------------------------------------
+// ===== Backfill & Reconciliation =====
+// ----------------------------------------------------------------------
+
+/**
+ * Replays a batch of Stripe events (e.g. an export covering a webhook
+ * outage) through normalizeStripeEventToSheetRows() and upsertPurchase().
+ *
+ * Events are applied oldest first. Without dryRun they go through the same
+ * ledger path as doPost(), so events that were already delivered are
+ * reported as duplicates and not applied twice.
+ *
+ * With dryRun, NOTHING is written: every event is applied to an in-memory
+ * copy of the sheet, and the report lists per row whether it would be
+ * appended or updated and which fields would change ({ from, to }).
+ *
+ * @param {Object[]|string|Object} source Array of events, a Stripe list
+ *     object ({ data: [...] }), a JSON string of either, or the ID of a JSON
+ *     file in Google Drive.
+ * @param {{dryRun: boolean, tenant: string}=} options tenant: tenant whose
+ *     sheet the events belong to (see selectTenant()).
+ * @returns {Object[]} One report entry per event.
+ */
+function reconcileStripeEvents(source, options) {
+  const dryRun = !!(options && options.dryRun);
+  selectTenant(options && options.tenant);
+  const events = loadStripeEvents(source)
+    .filter(evt => String(evt && evt.id || '').startsWith('evt_'))
+    .sort((a, b) => (Number(a.created) || 0) - (Number(b.created) || 0));
+
+  const report = [];
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+
+  try {
+    if (!dryRun) {
+      events.forEach(evt => {
+        const entry = { event_id: evt.id, type: evt.type };
+        try {
+          const result = processStripeEvent(evt);
+          if (result.duplicate) entry.duplicate = true;
+          entry.mode = result.duplicate ? result.outcome : result.mode;
+        } catch (err) {
+          entry.error = String(err);
+        }
+        report.push(entry);
+      });
+    } else {
+      const snapshot = createSheetSnapshot(getPurchasesSheet());
+      const ledger   = getLedgerSheet();
+      const seen     = {};
+      if (ledger.getLastRow() >= 2) {
+        const lmap = headerIndexMap(ensureHeaders(ledger, LEDGER_HEADERS));
+        ledger.getRange(2, 1, ledger.getLastRow() - 1, ledger.getLastColumn()).getValues().forEach(r => {
+          const outcome = String(r[lmap['outcome'] - 1] || '').trim();
+          if (outcome && outcome !== 'error') seen[String(r[lmap['event_id'] - 1]).trim()] = outcome;
+        });
+      }
+
+      events.forEach(evt => {
+        const entry = { event_id: evt.id, type: evt.type };
+        if (seen[evt.id]) {
+          entry.duplicate = true;
+          entry.mode = seen[evt.id];
+          report.push(entry);
+          return;
+        }
+        seen[evt.id] = 'planned';
+
+        try {
+          const rows = normalizeStripeEventToSheetRows(evt);
+          if (!rows.length) {
+            entry.mode = isSkippedInvoicePayment(evt) ? 'skipped_invoice' : 'skipped';
+          } else {
+            entry.mode = combineUpsertResults(rows.map(row => upsertPurchase(row, snapshot))).mode;
+            entry.rows = snapshot.takeChanges();
+          }
+        } catch (err) {
+          entry.error = String(err);
+        }
+        report.push(entry);
+      });
+    }
+  } finally {
+    lock.releaseLock();
+  }
+
+  Logger.log(JSON.stringify({ dry_run: dryRun, events: report.length, report }, null, 2));
+  return report;
+}
+
+/**
+ * Editor shortcuts: reconcile from the Drive file whose ID is stored in the
+ * script property RECONCILE_FILE_ID (the Run menu cannot pass arguments).
+ */
+function reconcileFromDriveDryRun() {
+  return reconcileStripeEvents(reconcileFileId(), { dryRun: true });
+}
+
+function reconcileFromDrive() {
+  return reconcileStripeEvents(reconcileFileId(), { dryRun: false });
+}
+
+function reconcileFileId() {
+  const id = PropertiesService.getScriptProperties().getProperty('RECONCILE_FILE_ID');
+  if (!id) throw new Error('Set the script property RECONCILE_FILE_ID to a Drive file ID');
+  return id;
+}
+
+/**
+ * Accepts the reconciliation input formats (see reconcileStripeEvents) and
+ * returns a plain array of events.
+ */
+function loadStripeEvents(source) {
+  let data = source;
+  if (typeof data === 'string') {
+    const text = data.trim();
+    data = JSON.parse(/^[\[{]/.test(text) ? text : DriveApp.getFileById(text).getBlob().getDataAsString());
+  }
+  if (data && !Array.isArray(data) && Array.isArray(data.data)) data = data.data;
+  if (!Array.isArray(data)) throw new Error('Expected an array of Stripe events or a Stripe list object');
+  return data;
+}
+
+/**
+ * In-memory copy of a sheet that supports the subset of the Sheet API used
+ * by upsertPurchase(). Writes only change the copy; takeChanges() returns
+ * (and resets) the rows touched since the last call:
+ *   [{ row, mode: 'appended'|'updated', changes: { Header: { from, to } } }]
+ */
+function createSheetSnapshot(sh) {
+  const lastRow = sh.getLastRow();
+  const lastCol = sh.getLastColumn();
+  const data    = lastRow && lastCol ? sh.getRange(1, 1, lastRow, lastCol).getValues() : [];
+  const width   = () => data.reduce((w, r) => Math.max(w, r.length), 0);
+  const cell    = (r, c) => (data[r - 1] && data[r - 1][c - 1] !== undefined) ? data[r - 1][c - 1] : '';
+  const same    = (a, b) => (a instanceof Date ? a.getTime() : String(a)) === (b instanceof Date ? b.getTime() : String(b));
+
+  let appended = {};
+  let touched  = {};
+
+  const set = (r, c, v) => {
+    while (data.length < r) data.push([]);
+    const before = cell(r, c);
+    data[r - 1][c - 1] = v;
+    if (r === 1 || same(before, v)) return;
+    touched[r] = touched[r] || {};
+    if (!touched[r][c]) touched[r][c] = { from: before };
+    touched[r][c].to = v;
+  };
+
+  const range = (r, c, nr, nc) => ({
+    getValue: () => cell(r, c),
+    getValues: () => {
+      const out = [];
+      for (let i = 0; i < (nr || 1); i++) {
+        const row = [];
+        for (let j = 0; j < (nc || 1); j++) row.push(cell(r + i, c + j));
+        out.push(row);
+      }
+      return out;
+    },
+    setValue: (v) => set(r, c, v),
+    setValues: (vals) => vals.forEach((row, i) => row.forEach((v, j) => set(r + i, c + j, v)))
+  });
+
+  return {
+    getLastRow: () => data.length,
+    getLastColumn: () => width(),
+    getRange: range,
+    insertRowBefore: (r) => { data.splice(r - 1, 0, []); appended[r] = true; },
+    takeChanges: () => {
+      const headers = data[0] || [];
+      const out = Object.keys(touched).map(Number).sort((a, b) => a - b).map(r => {
+        const changes = {};
+        Object.keys(touched[r]).forEach(c => {
+          const t = touched[r][c];
+          if (!same(t.from, t.to)) changes[headers[c - 1] || ('Column ' + c)] = t;
+        });
+        return { row: r, mode: appended[r] ? 'appended' : 'updated', changes };
+      });
+      appended = {};
+      touched  = {};
+      return out;
+    }
+  };
+}
+
+
+// ----------------------------------------------------------------------
+// ===== Revenue Summary =====
+// ----------------------------------------------------------------------
+
+/**
+ * Rebuilds the REVENUE_SHEET_NAME tab from the purchases sheet and the
+ * ledger: one row per month (script time zone), plugin and currency.
+ *
+ *  - Only live purchases count: test-mode rows (see eventMode) and trial
+ *    rows are left out.
+ *  - A payment that bought several plugins has one row per plugin, each
+ *    holding the whole payment. Its amounts are split by the rows' Plugin
+ *    Amount (line items) when every row has one, else evenly.
+ *  - Purchases count in the month of Paid At. Subscription renewals count
+ *    in the month each was paid, from the renewal amounts recorded in the
+ *    ledger (see writeLedgerEntry); renewals that have a purchase row of
+ *    their own (INVOICE_PAYMENTS_FROM_INVOICE_PAID off) are not counted twice.
+ *  - Amount Refunded is subtracted in Net, in the month of the purchase.
+ *    Revoked purchases (refunded, disputed, canceled) stay in the totals
+ *    and are counted in the Revoked column.
+ *
+ * Run it from the editor whenever the report is needed.
+ *
+ * @param {string=} tenantId Tenant to use (see selectTenant()).
+ * @returns {number} Number of summary rows written.
+ */
+function rebuildRevenueSummary(tenantId) {
+  selectTenant(tenantId);
+  const sh      = getPurchasesSheet();
+  const lastRow = sh.getLastRow();
+  const lastCol = sh.getLastColumn();
+  const values  = lastRow >= 2 && lastCol ? sh.getRange(1, 1, lastRow, lastCol).getValues() : [[]];
+  const hmap    = purchaseColumnMap(values[0].map(h => String(h || '').trim()));
+  const at      = (r, field) => hmap[field] ? r[hmap[field] - 1] : '';
+  const text    = (r, field) => String(at(r, field) || '').trim();
+  const num     = (r, field) => Number(at(r, field)) || 0;
+
+  const rows = values.slice(1).filter(r =>
+    at(r, 'paid_at') instanceof Date && !text(r, 'type') && text(r, 'mode') !== 'test'
+  );
+
+  // Plugin rows per payment and per subscription, to split amounts
+  const paymentOf = (r) => text(r, 'event_id') || text(r, 'subscription_id');
+  const payments  = {};
+  const subs      = {};
+  const piIds     = {};
+  rows.forEach(r => {
+    const k   = paymentOf(r);
+    const sub = text(r, 'subscription_id');
+    if (k) (payments[k] = payments[k] || []).push(r);
+    if (sub) (subs[sub] = subs[sub] || []).push(r);
+    if (text(r, 'event_id')) piIds[text(r, 'event_id')] = true;
+  });
+  const shareOf = (r) => {
+    const group = payments[paymentOf(r)] || [r];
+    const known = group.every(g => at(g, 'plugin_amount') !== '' && !isNaN(Number(at(g, 'plugin_amount'))));
+    const total = group.reduce((sum, g) => sum + num(g, 'plugin_amount'), 0);
+    return known && total > 0 ? num(r, 'plugin_amount') / total : 1 / group.length;
+  };
+
+  const tz     = Session.getScriptTimeZone();
+  const totals = {};
+  const totalFor = (date, plugin, currency) => {
+    const month = Utilities.formatDate(date, tz, 'yyyy-MM');
+    const key   = [month, plugin, currency].join('\n');
+    return totals[key] || (totals[key] = {
+      month, plugin, currency, purchases: 0, renewals: 0, amount: 0, amount_received: 0, refunded: 0, tax: 0,
+      discounted: 0, revoked: 0
+    });
+  };
+
+  rows.forEach(r => {
+    const t     = totalFor(at(r, 'paid_at'), text(r, 'plugin_name'), text(r, 'currency'));
+    const share = shareOf(r);
+    t.purchases++;
+    t.amount          += num(r, 'amount') * share;
+    t.amount_received += num(r, 'amount_received') * share;
+    t.refunded        += num(r, 'amount_refunded') * share;
+    t.tax             += num(r, 'tax') * share;
+    if (text(r, 'discount')) t.discounted++;
+    if (REVOKING_STATUSES.indexOf(text(r, 'status')) >= 0) t.revoked++;
+  });
+
+  ledgerRenewalPayments().forEach(p => {
+    if (!subs[p.subscription_id] || (p.pi_id && piIds[p.pi_id])) return;
+    subs[p.subscription_id].forEach(r => {
+      const t     = totalFor(p.paid_at, text(r, 'plugin_name'), p.currency || text(r, 'currency'));
+      const share = shareOf(r);
+      t.renewals++;
+      t.amount          += p.amount * share;
+      t.amount_received += p.amount_received * share;
+      t.tax             += p.tax * share;
+    });
+  });
+
+  const round = (v) => Math.round(v * 100) / 100;
+  const out = [[
+    'Month', 'Plugin', 'Currency', 'Purchases', 'Renewals', 'Amount', 'Amount Received', 'Refunded', 'Net',
+    'Tax', 'Discounted', 'Revoked'
+  ]];
+  Object.keys(totals).sort().forEach(key => {
+    const t = totals[key];
+    out.push([
+      t.month, t.plugin, t.currency, t.purchases, t.renewals, round(t.amount), round(t.amount_received),
+      round(t.refunded), round(t.amount_received - t.refunded), round(t.tax), t.discounted, t.revoked
+    ]);
+  });
+
+  const ss  = openSpreadsheet();
+  const dst = ss.getSheetByName(REVENUE_SHEET_NAME) || ss.insertSheet(REVENUE_SHEET_NAME);
+  dst.clearContents();
+  dst.getRange(1, 1, out.length, out[0].length).setValues(out);
+  dst.setFrozenRows(1);
+  return out.length - 1;
+}
+
+/**
+ * Live renewal payments recorded in the ledger (invoice.paid renewals, see
+ * writeLedgerEntry), read-only:
+ *   [{ subscription_id, pi_id, paid_at, amount, amount_received, tax, currency }]
+ */
+function ledgerRenewalPayments() {
+  const ledger = openSpreadsheet().getSheetByName(LEDGER_SHEET_NAME);
+  const last   = ledger ? ledger.getLastRow() : 0;
+  if (last < 2) return [];
+
+  const values = ledger.getRange(1, 1, last, ledger.getLastColumn()).getValues();
+  const lmap   = headerIndexMap(values[0]);
+  const get    = (r, k) => lmap[k] ? r[lmap[k] - 1] : '';
+  return values.slice(1)
+    .filter(r => String(get(r, 'subscription_id')).trim() && get(r, 'paid_at') instanceof Date &&
+                 String(get(r, 'outcome')).trim() !== 'error' && String(get(r, 'mode')).trim() !== 'test')
+    .map(r => ({
+      subscription_id: String(get(r, 'subscription_id')).trim(),
+      pi_id:           String(get(r, 'payment_intent_id')).trim(),
+      paid_at:         get(r, 'paid_at'),
+      amount:          Number(get(r, 'amount')) || 0,
+      amount_received: Number(get(r, 'amount_received')) || 0,
+      tax:             Number(get(r, 'tax')) || 0,
+      currency:        String(get(r, 'currency')).trim()
+    }));
+}
+
+
+// ----------------------------------------------------------------------
+// ===== Access Code Delivery (EMAIL) =====
+// ----------------------------------------------------------------------
+
+/**
+ * Mail transport used for access code emails. Replace `send` to test the
+ * delivery flow without sending real mail, e.g.
+ *   Mailer.send = (msg) => Logger.log(JSON.stringify(msg));
+ */
+const Mailer = {
+  send(message) {
+    MailApp.sendEmail(message);
+  }
+};
+
+/**
+ * Emails buyers their access code for the given purchase rows, once per row.
+ * A row is sent when it has an email, a plugin and a code, is not revoked,
+ * and its Sent At is still empty. Send failures are logged and retried on
+ * the row's next event; they never fail the webhook.
+ *
+ * Assumes caller has already acquired a LockService lock.
+ *
+ * @param {number[]} rowIndexes 1-based row numbers in the purchases sheet.
+ * @param {Object=} sheet Sheet holding the rows (defaults to the purchases
+ *     sheet); testAccessCodeEmail() passes an in-memory snapshot here.
+ */
+function deliverAccessCodes(rowIndexes, sheet) {
+  if (!rowIndexes.length) return;
+  const sh = sheet || getPurchasesSheet();
+
+  const lastCol = sh.getLastColumn();
+  const hmap    = purchaseColumnMap(sh.getRange(1, 1, 1, lastCol).getValues()[0]);
+  const get     = (vals, key) => hmap[key] ? String(vals[hmap[key] - 1] || '').trim() : '';
+
+  rowIndexes.forEach(rowIndex => {
+    const vals = sh.getRange(rowIndex, 1, 1, lastCol).getValues()[0];
+    const data = {
+      client_name:    get(vals, 'client_name'),
+      client_email:   get(vals, 'client_email'),
+      plugin_name:    get(vals, 'plugin_name'),
+      license_key:    get(vals, 'license_key'),
+      receipt_number: get(vals, 'access_code')
+    };
+    data.access_code = data.license_key || data.receipt_number;
+
+    if (get(vals, 'sent_at')) return;
+    if (!data.client_email || !data.plugin_name || !data.access_code) return;
+    if (REVOKING_STATUSES.indexOf(get(vals, 'status')) >= 0) return;
+
+    try {
+      const msg = renderAccessCodeEmail(emailTemplateFor(data.plugin_name), data);
+      Mailer.send({ to: data.client_email, subject: msg.subject, htmlBody: msg.html });
+      sh.getRange(rowIndex, hmap['sent_at']).setValue(new Date());
+    } catch (err) {
+      Logger.log('ERROR deliverAccessCodes - Row ' + rowIndex + ': ' + err);
+    }
+  });
+}
+
+/**
+ * Fills a template's {{placeholders}} with HTML-escaped row values.
+ * Unknown placeholders are left empty. The subject is not escaped.
+ *
+ * @returns {{subject: string, html: string}}
+ */
+function renderAccessCodeEmail(template, data) {
+  const escape = (v) => String(v === undefined || v === null ? '' : v)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  const fill = (text, esc) => String(text || '').replace(/\{\{\s*(\w+)\s*\}\}/g,
+    (_, k) => esc ? escape(data[k]) : String(data[k] === undefined || data[k] === null ? '' : data[k]));
+
+  if (!data.client_name) data = Object.assign({}, data, { client_name: 'there' });
+  return { subject: fill(template.subject, false), html: fill(template.html, true) };
+}
+
+let EMAIL_TEMPLATES_MEMO = null;
+
+/**
+ * Template for a plugin: its own row in the templates sheet, else the
+ * sheet's default row, else the EMAIL_TEMPLATE_* script properties, else
+ * DEFAULT_EMAIL_TEMPLATE. Missing subject/body fall back the same way.
+ */
+function emailTemplateFor(pluginName) {
+  if (!EMAIL_TEMPLATES_MEMO) {
+    const base = {
+      subject: tenantProperty('EMAIL_TEMPLATE_SUBJECT') || DEFAULT_EMAIL_TEMPLATE.subject,
+      html:    tenantProperty('EMAIL_TEMPLATE_HTML')    || DEFAULT_EMAIL_TEMPLATE.html
+    };
+    const byPlugin = {};
+
+    const sh = openSpreadsheet().getSheetByName(EMAIL_TEMPLATES_SHEET_NAME);
+    if (sh && sh.getLastRow() >= 2) {
+      const values = sh.getRange(1, 1, sh.getLastRow(), sh.getLastColumn()).getValues();
+      const tmap   = headerIndexMap(values[0]);
+      values.slice(1).forEach(r => {
+        const plugin = String(r[tmap['plugin'] - 1] || '').trim();
+        const tpl = {
+          subject: String(tmap['subject'] ? r[tmap['subject'] - 1] || '' : '').trim(),
+          html:    String(tmap['html_body'] ? r[tmap['html_body'] - 1] || '' : '').trim()
+        };
+        if (!plugin || plugin === '*') {
+          if (tpl.subject) base.subject = tpl.subject;
+          if (tpl.html) base.html = tpl.html;
+        } else {
+          byPlugin[normalizePluginName(plugin)] = tpl;
+        }
+      });
+    }
+    EMAIL_TEMPLATES_MEMO = { base, byPlugin };
+  }
+
+  const own = EMAIL_TEMPLATES_MEMO.byPlugin[normalizePluginName(pluginName)] || {};
+  return {
+    subject: own.subject || EMAIL_TEMPLATES_MEMO.base.subject,
+    html:    own.html    || EMAIL_TEMPLATES_MEMO.base.html
+  };
+}
+
+/**
+ * Self-test for the email flow with a stubbed Mailer (nothing is sent).
+ * Upserts two test purchases into an in-memory snapshot of the purchases
+ * sheet (see createSheetSnapshot) and runs deliverAccessCodes() on their
+ * rows twice: each row must get exactly one message and a Sent At. It calls
+ * deliverAccessCodes() directly, so it runs whether SEND_ACCESS_CODE_EMAILS
+ * is on or off. Run it from the Apps Script editor after editing a template.
+ */
+function testAccessCodeEmail() {
+  selectTenant();
+  const sent = [];
+  const realSend = Mailer.send;
+  Mailer.send = (msg) => sent.push(msg);
+
+  try {
+    const snapshot = createSheetSnapshot(getPurchasesSheet());
+    const now      = Math.floor(Date.now() / 1000);
+    const rows     = [];
+    [['Grid', 'ada@example.com'], ['Globe', 'bob@example.com']].forEach(([plugin, email], i) => {
+      const evt = {
+        id: 'evt_selftest_' + i, type: 'charge.succeeded', created: now, livemode: false,
+        data: { object: {
+          status: 'succeeded', payment_intent: 'pi_selftest_' + now + '_' + i, receipt_number: 'SELFTEST-' + i,
+          billing_details: { name: 'Ada <Admin>', email }, metadata: { Plugin: plugin }
+        } }
+      };
+      normalizeStripeEventToSheetRows(evt).forEach(row => {
+        upsertPurchase(row, snapshot).rows.forEach(r => rows.push(r));
+      });
+    });
+
+    deliverAccessCodes(rows, snapshot);
+    deliverAccessCodes(rows, snapshot); // the second run must send nothing
+
+    const hmap = purchaseColumnMap(snapshot.getRange(1, 1, 1, snapshot.getLastColumn()).getValues()[0]);
+    const get  = (r, key) => String(snapshot.getRange(r, hmap[key]).getValue() || '').trim();
+
+    const failures = [];
+    if (sent.length !== rows.length) {
+      failures.push('expected ' + rows.length + ' messages, got ' + sent.length);
+    }
+    rows.forEach(r => {
+      const email = get(r, 'client_email');
+      const code  = get(r, 'license_key') || get(r, 'access_code');
+      const mine  = sent.filter(m => m.to === email);
+      if (mine.length !== 1) failures.push('row ' + r + ': expected one message to ' + email + ', got ' + mine.length);
+      if (!(snapshot.getRange(r, hmap['sent_at']).getValue() instanceof Date)) failures.push('row ' + r + ': Sent At not set');
+      mine.forEach(m => {
+        if (m.htmlBody.indexOf('{{') >= 0) failures.push('row ' + r + ': unfilled placeholder in body');
+        if (m.htmlBody.indexOf('<Admin>') >= 0) failures.push('row ' + r + ': values are not HTML-escaped');
+        if (m.htmlBody.indexOf(code) < 0 && m.subject.indexOf(code) < 0) {
+          failures.push('row ' + r + ': access code missing from the message');
+        }
+      });
+    });
+    if (failures.length) throw new Error('Email self-test failed:\n' + failures.join('\n'));
+    Logger.log('Email self-test passed. Subject: ' + sent[0].subject + '\n' + sent[0].htmlBody);
+  } finally {
+    Mailer.send = realSend;
+  }
+}
+
+
+// ----------------------------------------------------------------------
+// ===== Pending Queue (LOCK CONTENTION) =====
+// ----------------------------------------------------------------------
+
+/**
+ * Queue sheet columns (row 1). The Payload column must stay LAST: payloads
+ * longer than one cell allows are split across the cells to its right.
+ */
+const QUEUE_HEADERS = ['Event ID', 'Type', 'Queued At', 'Status', 'Attempts', 'Last Attempt At', 'Last Error', 'Payload'];
+
+/** Maximum characters stored per cell (Sheets allows 50,000). */
+const QUEUE_CELL_CHARS = 45000;
+
+/**
+ * Prefix of every payload chunk. Sheets would read a chunk starting with
+ * "=", "+" or "-" (e.g. split right before a query-string "=") as a
+ * formula or number; the prefix keeps it text. Stripped by queuedPayload().
+ */
+const QUEUE_CHUNK_PREFIX = '~';
+
+/**
+ * Stores an event in the pending queue. Runs WITHOUT the script lock:
+ * appendRow() is atomic, so concurrent executions never overwrite each other.
+ */
+function enqueueStripeEvent(evt) {
+  const payload = JSON.stringify(evt);
+  const chunks  = [];
+  for (let i = 0; i < payload.length; i += QUEUE_CELL_CHARS) {
+    chunks.push(QUEUE_CHUNK_PREFIX + payload.slice(i, i + QUEUE_CELL_CHARS));
+  }
+
+  getQueueSheet().appendRow([
+    String(evt.id || ''),
+    String(evt.type || ''),
+    new Date(),
+    'pending',
+    0,
+    '',
+    ''
+  ].concat(chunks));
+}
+
+/**
+ * Joins the payload cells of a queue row back into the event JSON. Rows
+ * queued before QUEUE_CHUNK_PREFIX existed start with "{" and are joined
+ * as they are.
+ */
+function queuedPayload(cells) {
+  const chunks = cells.map(c => String(c === null || c === undefined ? '' : c)).filter(Boolean);
+  if (!chunks.length || chunks[0].charAt(0) !== QUEUE_CHUNK_PREFIX) return chunks.join('');
+  return chunks.map(c => c.charAt(0) === QUEUE_CHUNK_PREFIX ? c.slice(1) : c).join('');
+}
+
+/**
+ * Time-driven trigger: applies pending queue items through the same path as
+ * doPost (ledger → normalizeStripeEventToSheetRow → upsertPurchase).
+ *
+ *  - Successful items (including duplicates already applied) are removed.
+ *  - Failed items keep their attempt count and error; after
+ *    QUEUE_MAX_ATTEMPTS they are marked "dead" (see webhookQueueStatus()).
+ *  - Every tenant's queue is drained in turn (see TENANTS).
+ */
+function drainWebhookQueue() {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(30000)) {
+    Logger.log('drainWebhookQueue: lock busy, will retry on next run');
+    return;
+  }
+
+  try {
+    forEachTenant(t => {
+      try {
+        drainTenantQueue();
+      } catch (err) {
+        Logger.log('ERROR drainWebhookQueue - Tenant "' + t.id + '": ' + err);
+      }
+    });
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Applies up to QUEUE_BATCH_SIZE pending items of the current tenant's
+ * queue. Caller holds the script lock.
+ */
+function drainTenantQueue() {
+  const sh      = getQueueSheet();
+  const lastRow = sh.getLastRow();
+  if (lastRow < 2) return;
+
+  const rows = sh.getRange(2, 1, lastRow - 1, sh.getLastColumn()).getValues();
+  const col  = queueColumns();
+  const done = [];
+  let processed = 0;
+
+  for (let i = 0; i < rows.length && processed < QUEUE_BATCH_SIZE; i++) {
+    const r = rows[i];
+    if (String(r[col.status - 1]).trim() !== 'pending') continue;
+    processed++;
+
+    const rowIndex = i + 2;
+    const attempts = Number(r[col.attempts - 1]) || 0;
+    try {
+      const evt    = JSON.parse(queuedPayload(r.slice(col.payload - 1)));
+      const result = processStripeEvent(evt);
+      Logger.log(JSON.stringify({ drained_event: evt.id, write: result }));
+      done.push(rowIndex);
+    } catch (err) {
+      const status = attempts + 1 >= QUEUE_MAX_ATTEMPTS ? 'dead' : 'pending';
+      sh.getRange(rowIndex, col.status).setValue(status);
+      sh.getRange(rowIndex, col.attempts).setValue(attempts + 1);
+      sh.getRange(rowIndex, col.last_attempt_at).setValue(new Date());
+      sh.getRange(rowIndex, col.last_error).setValue(String(err));
+      Logger.log('ERROR drainWebhookQueue - Row ' + rowIndex + ': ' + err);
+    }
+  }
+
+  // Delete bottom-up so earlier row indexes stay valid
+  done.reverse().forEach(rowIndex => sh.deleteRow(rowIndex));
+}
+
+/**
+ * Operator report: queue depth and failed items. Run from the editor and
+ * check the execution log, or call it from another script.
+ *
+ * @param {string=} tenantId Tenant to use (see selectTenant()).
+ * @returns {{pending: number, dead: number, failed: Object[]}}
+ */
+function webhookQueueStatus(tenantId) {
+  selectTenant(tenantId);
+  const sh      = getQueueSheet();
+  const lastRow = sh.getLastRow();
+  const report  = { pending: 0, dead: 0, failed: [] };
+
+  if (lastRow >= 2) {
+    const col = queueColumns();
+    sh.getRange(2, 1, lastRow - 1, col.payload - 1).getValues().forEach((r, i) => {
+      const status   = String(r[col.status - 1]).trim();
+      const attempts = Number(r[col.attempts - 1]) || 0;
+      if (status === 'pending') report.pending++;
+      if (status === 'dead') report.dead++;
+      if (attempts > 0) {
+        report.failed.push({
+          row:             i + 2,
+          event_id:        r[col.event_id - 1],
+          type:            r[col.type - 1],
+          status:          status,
+          attempts:        attempts,
+          last_attempt_at: r[col.last_attempt_at - 1],
+          last_error:      r[col.last_error - 1]
+        });
+      }
+    });
+  }
+
+  Logger.log(JSON.stringify(report, null, 2));
+  return report;
+}
+
+/**
+ * Moves every "dead" item back to "pending" with a fresh attempt count,
+ * e.g. after fixing the cause of the failures.
+ *
+ * @param {string=} tenantId Tenant to use (see selectTenant()).
+ */
+function retryDeadWebhooks(tenantId) {
+  selectTenant(tenantId);
+  const sh      = getQueueSheet();
+  const lastRow = sh.getLastRow();
+  if (lastRow < 2) return 0;
+
+  const col    = queueColumns();
+  const status = sh.getRange(2, col.status, lastRow - 1, 1).getValues().flat();
+  let count = 0;
+  status.forEach((s, i) => {
+    if (String(s).trim() !== 'dead') return;
+    sh.getRange(i + 2, col.status).setValue('pending');
+    sh.getRange(i + 2, col.attempts).setValue(0);
+    count++;
+  });
+  return count;
+}
+
+/**
+ * One-time setup: creates the queue sheet and a time-driven trigger that
+ * runs drainWebhookQueue() every minute. Safe to run more than once.
+ */
+function installWebhookQueueTrigger() {
+  forEachTenant(getQueueSheet);
+  const exists = ScriptApp.getProjectTriggers()
+    .some(t => t.getHandlerFunction() === 'drainWebhookQueue');
+  if (!exists) {
+    ScriptApp.newTrigger('drainWebhookQueue').timeBased().everyMinutes(1).create();
+  }
+}
+
+/**
+ * Returns the queue sheet, creating it (with headers) on first use.
+ */
+function getQueueSheet() {
+  const ss = openSpreadsheet();
+  let sh = ss.getSheetByName(QUEUE_SHEET_NAME);
+  if (!sh) {
+    sh = ss.insertSheet(QUEUE_SHEET_NAME);
+    sh.getRange(1, 1, 1, QUEUE_HEADERS.length).setValues([QUEUE_HEADERS]);
+  }
+  return sh;
+}
+
+/**
+ * Fixed column positions of the queue sheet (1-based), keyed like headerIndexMap().
+ */
+function queueColumns() {
+  return headerIndexMap(QUEUE_HEADERS);
+}
+
+
+// ----------------------------------------------------------------------
+// ===== Tenants =====
+// ----------------------------------------------------------------------
+
+/**
+ * Tenant of the current execution (see TENANTS): set by doPost from the
+ * event, by drainWebhookQueue per queue and by the editor functions from
+ * their tenantId argument.
+ */
+let TENANT = tenantSettings('');
+
+/**
+ * Settings of a tenant ID ('' = the default tenant), or null if there is no
+ * such tenant.
+ */
+function tenantSettings(id) {
+  if (id && !Object.prototype.hasOwnProperty.call(TENANTS, id)) return null;
+  const spreadsheetId = id ? TENANTS[id].spreadsheet_id : SPREADSHEET_ID;
+  if (!spreadsheetId) return null;
+  return {
+    id,
+    spreadsheet_id:  spreadsheetId,
+    stripe_account:  id ? String(TENANTS[id].stripe_account || '') : '',
+    products:        id ? (TENANTS[id].products || {}) : PRODUCT_ID_TO_PLUGIN,
+    webhook_token:   id ? tenantProperty('WEBHOOK_TOKEN', id) || null : WEBHOOK_TOKEN,
+    signing_secrets: id
+      ? tenantProperty('STRIPE_SIGNING_SECRETS', id).split(',').map(s => s.trim()).filter(Boolean)
+      : STRIPE_SIGNING_SECRETS
+  };
+}
+
+/**
+ * A tenant's own script property ("<NAME>.<id>"; the plain NAME for the
+ * default tenant), '' if unset. id defaults to the current tenant.
+ */
+function tenantProperty(name, id) {
+  const tenantId = id === undefined ? TENANT.id : id;
+  return PropertiesService.getScriptProperties().getProperty(tenantId ? name + '.' + tenantId : name) || '';
+}
+
+/**
+ * True if signature verification is set up anywhere: the plain
+ * STRIPE_SIGNING_SECRETS or any tenant's STRIPE_SIGNING_SECRETS.<id>.
+ */
+function signingSecretsConfigured() {
+  return STRIPE_SIGNING_SECRETS.length > 0 ||
+    Object.keys(TENANTS).some(id => tenantProperty('STRIPE_SIGNING_SECRETS', id).split(',').some(s => s.trim()));
+}
+
+/**
+ * Switches to tenant t. The memoized Config tab and email templates belong
+ * to the previous tenant's spreadsheet, so they are dropped.
+ */
+function useTenant(t) {
+  TENANT = t;
+  CONFIG_MEMO = null;
+  EMAIL_TEMPLATES_MEMO = null;
+}
+
+/**
+ * Switches to the tenant named by an editor / script argument. The Run menu
+ * cannot pass arguments, so without one the script property EDITOR_TENANT
+ * names the tenant, and without that the default tenant is used. Throws for
+ * unknown tenants.
+ */
+function selectTenant(tenantId) {
+  const id = String(tenantId || PropertiesService.getScriptProperties().getProperty('EDITOR_TENANT') || '').trim();
+  const t  = tenantSettings(id);
+  if (!t) throw new Error(id ? 'Unknown tenant "' + id + '"' : 'No default tenant (SPREADSHEET_ID is empty): pass a tenant ID');
+  useTenant(t);
+}
+
+/**
+ * Runs fn once per tenant (the default one first, if enabled) with TENANT
+ * set to it.
+ */
+function forEachTenant(fn) {
+  [''].concat(Object.keys(TENANTS)).map(tenantSettings).filter(Boolean).forEach(t => {
+    useTenant(t);
+    fn(t);
+  });
+}
+
+/**
+ * Tenant of a webhook delivery: the URL's tenant parameter, else the tenant
+ * whose stripe_account is the event's Connect account, else the default
+ * tenant. An event account that contradicts the named tenant, or that no
+ * tenant claims while TENANTS is set, is refused.
+ */
+function webhookTenant(tenantParam, account) {
+  const id  = String(tenantParam || '').trim();
+  const acc = String(account || '').trim();
+
+  if (id) {
+    const t = tenantSettings(id);
+    if (!t) throw apiError('bad_request', 'Unknown tenant "' + id + '"');
+    if (acc && t.stripe_account && acc !== t.stripe_account) {
+      throw apiError('bad_request', 'Stripe account ' + acc + ' does not belong to tenant "' + id + '"');
+    }
+    return t;
+  }
+
+  const ids = Object.keys(TENANTS);
+  if (acc && ids.length) {
+    const match = ids.find(k => String(TENANTS[k].stripe_account || '') === acc);
+    if (!match) throw apiError('bad_request', 'No tenant for Stripe account ' + acc);
+    const t = tenantSettings(match);
+    if (!t) throw apiError('config_error', 'Tenant "' + match + '" has no spreadsheet_id');
+    return t;
+  }
+
+  const t = tenantSettings('');
+  if (!t) throw apiError('bad_request', 'Missing tenant parameter');
+  return t;
+}
+
+/**
+ * Opens the current tenant's spreadsheet.
+ */
+function openSpreadsheet() {
+  return SpreadsheetApp.openById(TENANT.spreadsheet_id);
+}
+
+
+// ----------------------------------------------------------------------
+// ===== Configuration (CONFIG TAB) =====
+// ----------------------------------------------------------------------
+
+let CONFIG_MEMO = null;
+
+/**
+ * Effective configuration: the code defaults (SHEET_NAME,
+ * PRODUCT_ID_TO_PLUGIN, METADATA_KEYS, COLUMN_HEADERS) overridden by the
+ * Config tab, read once per execution:
+ *   { sheet_name, products: { prod_id: name }, metadata: { field: [keys] },
+ *     columns: { field: header }, bundles: { folded name: { name, plugins } } }
+ *
+ * Throws if the tab has errors (see checkConfig()); warnings are logged.
+ */
+function getConfig() {
+  if (!CONFIG_MEMO) {
+    const parsed = parseConfigRows(readConfigRows(), configDefaults());
+    if (parsed.warnings.length) Logger.log('Config warnings: ' + parsed.warnings.join('; '));
+    if (parsed.errors.length) throw apiError('config_error', 'Invalid ' + CONFIG_SHEET_NAME + ' tab: ' + parsed.errors.join('; '));
+    CONFIG_MEMO = parsed.config;
+  }
+  return CONFIG_MEMO;
+}
+
+function configDefaults() {
+  return {
+    sheet_name: SHEET_NAME,
+    products:   TENANT.products,
+    metadata:   METADATA_KEYS,
+    columns:    COLUMN_HEADERS,
+    bundles:    {}
+  };
+}
+
+/**
+ * Key/Value rows of the Config tab (below its header row), [] without the tab.
+ */
+function readConfigRows() {
+  const sh = openSpreadsheet().getSheetByName(CONFIG_SHEET_NAME);
+  if (!sh || sh.getLastRow() < 2) return [];
+  return sh.getRange(2, 1, sh.getLastRow() - 1, 2).getValues();
+}
+
+/**
+ * Applies Config tab rows to the defaults and validates them.
+ * Keep in sync with parseConfigRows_() in FramerEndpoint.js.
+ *
+ *  - errors:   missing values, a key listed twice with different values, two
+ *              fields sharing a column header or a metadata key, bundles
+ *              defined twice, empty or listing another bundle
+ *  - warnings: unknown keys (ignored), product keys that aren't prod_... IDs
+ *
+ * Rows with an empty Key or a Key starting with "#" are ignored.
+ *
+ * @param {Array[]} rows [[key, value], ...] (sheet row 2 onwards)
+ * @param {Object} defaults { sheet_name, products, metadata, columns, bundles }
+ * @returns {{config: Object, errors: string[], warnings: string[]}}
+ */
+function parseConfigRows(rows, defaults) {
+  const config = {
+    sheet_name: defaults.sheet_name,
+    products:   Object.assign({}, defaults.products),
+    metadata:   Object.assign({}, defaults.metadata),
+    columns:    Object.assign({}, defaults.columns),
+    bundles:    Object.assign({}, defaults.bundles)
+  };
+  const errors   = [];
+  const warnings = [];
+  const seen     = {};
+  const has      = (o, k) => Object.prototype.hasOwnProperty.call(o, k);
+  const fold     = (v) => String(v || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+  rows.forEach((r, i) => {
+    const key   = String(r[0] || '').trim();
+    const value = String(r[1] === null || r[1] === undefined ? '' : r[1]).trim();
+    if (!key || key.charAt(0) === '#') return;
+
+    const where   = key + ' (row ' + (i + 2) + ')';
+    const dot     = key.indexOf('.');
+    const section = dot < 0 ? '' : key.slice(0, dot).trim().toLowerCase();
+    // Product IDs are case-sensitive; every other name is not
+    const name    = dot < 0 ? key.toLowerCase() : key.slice(dot + 1).trim();
+    const field   = section === 'product' ? name : name.toLowerCase();
+    const id      = section + '.' + field;
+
+    if (has(seen, id)) {
+      if (seen[id] !== value) errors.push('Conflicting values for ' + where + ': "' + seen[id] + '" and "' + value + '"');
+      return;
+    }
+    seen[id] = value;
+
+    if (!value) {
+      errors.push('Missing value for ' + where);
+    } else if (!section && field === 'sheet_name') {
+      config.sheet_name = value;
+    } else if (section === 'product' && field) {
+      if (!/^prod_/.test(field)) warnings.push('Product key ' + where + ' is not a prod_... ID');
+      config.products[field] = value;
+    } else if (section === 'metadata' && has(defaults.metadata, field)) {
+      config.metadata[field] = value.split(',').map(x => x.trim()).filter(Boolean);
+    } else if (section === 'column' && has(defaults.columns, field)) {
+      config.columns[field] = value;
+    } else if (section === 'bundle' && fold(name)) {
+      if (has(config.bundles, fold(name))) errors.push('Bundle ' + where + ' is defined twice');
+      config.bundles[fold(name)] = { name, plugins: value.split(',').map(x => x.trim()).filter(Boolean) };
+    } else {
+      warnings.push('Unknown key ' + where + ' is ignored');
+    }
+  });
+
+  const byHeader = {};
+  Object.keys(config.columns).forEach(field => {
+    const k = fold(config.columns[field]);
+    if (has(byHeader, k)) {
+      errors.push('column.' + byHeader[k] + ' and column.' + field + ' both use the header "' + config.columns[field] + '"');
+    } else {
+      byHeader[k] = field;
+    }
+  });
+
+  const byMetaKey = {};
+  Object.keys(config.metadata).forEach(field => {
+    config.metadata[field].forEach(metaKey => {
+      if (has(byMetaKey, metaKey) && byMetaKey[metaKey] !== field) {
+        errors.push('metadata.' + byMetaKey[metaKey] + ' and metadata.' + field + ' both read "' + metaKey + '"');
+      } else {
+        byMetaKey[metaKey] = field;
+      }
+    });
+  });
+
+  Object.keys(config.bundles).forEach(k => {
+    const bundle = config.bundles[k];
+    if (!bundle.plugins.length) errors.push('Bundle bundle.' + bundle.name + ' has no plugins');
+    bundle.plugins.forEach(plugin => {
+      if (has(config.bundles, fold(plugin))) {
+        errors.push('Bundle bundle.' + bundle.name + ' includes "' + plugin + '", which is a bundle');
+      }
+    });
+  });
+
+  return { config, errors, warnings };
+}
+
+/**
+ * Validates the Config tab and logs the effective configuration plus every
+ * error and warning. Also lists configured columns that are not in the
+ * purchases sheet yet (created on the next webhook). Run after editing the tab.
+ *
+ * @param {string=} tenantId Tenant to use (see selectTenant()).
+ */
+function checkConfig(tenantId) {
+  selectTenant(tenantId);
+  const parsed = parseConfigRows(readConfigRows(), configDefaults());
+  const report = {
+    ok:       !parsed.errors.length,
+    errors:   parsed.errors,
+    warnings: parsed.warnings.slice(),
+    config:   parsed.config
+  };
+
+  const sh = openSpreadsheet().getSheetByName(parsed.config.sheet_name);
+  if (!sh) {
+    report.warnings.push('Sheet "' + parsed.config.sheet_name + '" not found');
+  } else if (sh.getLastColumn()) {
+    const hmap = purchaseColumnMap(sh.getRange(1, 1, 1, sh.getLastColumn()).getValues()[0], parsed.config);
+    Object.keys(parsed.config.columns).forEach(field => {
+      if (!hmap[field]) report.warnings.push('Column "' + parsed.config.columns[field] + '" (column.' + field + ') is not in the sheet yet');
+    });
+  }
+
+  Logger.log(JSON.stringify(report, null, 2));
+  return report;
+}
+
+/**
+ * Creates the Config tab prefilled with the current defaults (no-op if it
+ * already exists). Edit the values there instead of in code.
+ *
+ * @param {string=} tenantId Tenant to use (see selectTenant()).
+ */
+function createConfigSheet(tenantId) {
+  selectTenant(tenantId);
+  const ss = openSpreadsheet();
+  if (ss.getSheetByName(CONFIG_SHEET_NAME)) return;
+
+  const rows = [['Key', 'Value'], ['sheet_name', SHEET_NAME]];
+  Object.keys(TENANT.products).forEach(id => rows.push(['product.' + id, TENANT.products[id]]));
+  Object.keys(METADATA_KEYS).forEach(field => rows.push(['metadata.' + field, METADATA_KEYS[field].join(', ')]));
+  Object.keys(COLUMN_HEADERS).forEach(field => rows.push(['column.' + field, COLUMN_HEADERS[field]]));
+  rows.push(['# bundle.All Plugins', 'Grid, Globe']); // example: remove the # to enable
+
+  const sh = ss.insertSheet(CONFIG_SHEET_NAME);
+  sh.getRange(1, 1, rows.length, 2).setValues(rows);
+  sh.setFrozenRows(1);
+}
+
+/**
+ * The purchases sheet named by the config.
+ */
+function getPurchasesSheet() {
+  const name = getConfig().sheet_name;
+  const sh   = openSpreadsheet().getSheetByName(name);
+  if (!sh) throw apiError('config_error', 'Sheet "' + name + '" not found');
+  return sh;
+}
+
+/**
+ * Builds a map: field (client_email, event_id, ...) → column index (1-based),
+ * using the configured header text. Fields without a column are left out.
+ */
+function purchaseColumnMap(headers, config) {
+  const columns = (config || getConfig()).columns;
+  const byKey   = headerIndexMap(headers);
+  const m = {};
+  Object.keys(columns).forEach(field => {
+    const col = byKey[normalizeKey(columns[field])];
+    if (col) m[field] = col;
+  });
+  return m;
+}
+
+/**
+ * First non-empty value among a field's configured metadata keys, or null.
+ *   metadataValue({ order_reference: 'prod_A' }, 'plugin_id') → 'prod_A'
+ */
+function metadataValue(meta, field) {
+  if (!meta) return null;
+  const key = (getConfig().metadata[field] || []).find(k =>
+    meta[k] !== undefined && meta[k] !== null && String(meta[k]).trim() !== ''
+  );
+  return key ? meta[key] : null;
+}
+
+
+// ----------------------------------------------------------------------
+// ===== Utility Functions =====
+// ----------------------------------------------------------------------
+
+/**
+ * Writes an object's properties to a specific sheet row.
+ * Implements additive writing:
+ *  - Always writes Dates (Paid At, Expires At) and the PaymentIntent ID (Event ID) when present.
+ *  - Status: "paid" only fills an empty cell (or clears "past_due");
+ *    refund/dispute statuses always win.
+ *  - Revoked At: only written by events that carry a non-"paid" status
+ *    ('' clears it, e.g. when a dispute is won).
+ *  - Framer User ID: only fills an empty cell (the verifier manages the seat list).
+ *  - Only writes other fields if they are non-null and non-empty.
+ *  - opts.fillOnly: only writes into empty cells (used for stale events).
+ *
+ * This prevents a later, "sparser" event from wiping earlier data.
+ */
+function writeRowObject(sh, row, hmap, obj, opts) {
+  const fillOnly = !!(opts && opts.fillOnly);
+
+  // Row Object Keys written here (ONLY these keys are considered);
+  // hmap (see purchaseColumnMap) gives each one's column.
+  const keys = [
+    'client_name', 'client_email', 'paid_at', 'access_code', 'plugin_name', 'framer_user_id',
+    'event_id', 'status', 'revoked_at', 'last_event_at', 'subscription_id', 'expires_at', 'seats', 'mode',
+    'amount', 'amount_received', 'currency', 'customer_id', 'discount', 'tax', 'payment_method',
+    'plugin_amount', 'amount_refunded'
+  ];
+
+  const lastCol   = sh.getLastColumn();
+  const current   = sh.getRange(row, 1, 1, lastCol).getValues()[0];
+
+  keys.forEach(key => {
+    // Skip fields whose column is missing from the sheet
+    if (!hmap[key]) return;
+    const i = hmap[key] - 1;
+
+    const v = obj[key];
+
+    // Stale events never overwrite what a newer event already wrote
+    if (fillOnly && String(current[i] || '').trim() !== '') return;
+
+    // The verifier owns the bound IDs once there are any (seat lists)
+    if (key === 'framer_user_id' && String(current[i] || '').trim() !== '') return;
+
+    // Lifecycle fields have their own precedence rules (see above)
+    if (key === 'status') {
+      if (!v) return;
+      const now = String(current[i] || '').trim();
+      if (v === STATUS_PAID && now !== '' && now !== 'past_due') return;
+      sh.getRange(row, i + 1).setValue(v);
+      return;
+    }
+    if (key === 'revoked_at') {
+      if (!obj.status || obj.status === STATUS_PAID || v === null || v === undefined) return;
+      // Keep the original revocation time when a second revoking event arrives
+      if (v instanceof Date && String(current[i] || '').trim() !== '') return;
+      sh.getRange(row, i + 1).setValue(v);
+      return;
+    }
+
+    // 1. Always write Date objects (Paid At) and the unique identifier (Event ID)
+    if (v instanceof Date || (key === 'event_id' && v)) {
+      sh.getRange(row, i + 1).setValue(v);
+      return;
+    }
+
+    // 2. For all other fields: Only write if not null/undefined AND not an empty string ("").
+    if (v !== null && v !== undefined && String(v).trim() !== '') {
+      sh.getRange(row, i + 1).setValue(v);
+    }
+  });
+
+  // Alternate Codes keeps every code the purchase was known by (including a
+  // replaced Access Code), minus the current Access Code
+  if (hmap['alternate_codes'] && hmap['access_code']) {
+    const i      = hmap['alternate_codes'] - 1;
+    const access = canonicalCode(sh.getRange(row, hmap['access_code']).getValue());
+    const codes  = canonicalCodes([current[i], current[hmap['access_code'] - 1]].concat(obj.alternate_codes || []))
+      .filter(code => code !== access)
+      .join(', ');
+    if (codes !== String(current[i] || '').trim()) sh.getRange(row, i + 1).setValue(codes);
+  }
+}
+
+/**
+ * Returns the event's own creation time (evt.created), falling back to now.
+ */
+function eventDate(evt) {
+  return evt && evt.created ? new Date(Number(evt.created) * 1000) : new Date();
+}
+
+/**
+ * Stripe mode of an event: 'test' for test-mode events (livemode: false),
+ * else 'live'. FramerEndpoint.js rejects test rows by default.
+ */
+function eventMode(evt) {
+  return evt && evt.livemode === false ? 'test' : 'live';
+}
+
+/**
+ * Returns a new Date `days` days after `date`.
+ */
+function addDays(date, days) {
+  return new Date(date.getTime() + (Number(days) || 0) * 86400000);
+}
+
+/**
+ * Subscription ID of an invoice (older API versions: invoice.subscription,
+ * newer ones: invoice.parent.subscription_details.subscription).
+ */
+function invoiceSubscriptionId(inv) {
+  const sub = inv.subscription ||
+              (inv.parent && inv.parent.subscription_details && inv.parent.subscription_details.subscription);
+  return String((sub && sub.id) || sub || '').trim();
+}
+
+/**
+ * Metadata for an invoice: the subscription's metadata (copied onto the
+ * invoice by Stripe) overlaid with the invoice's own metadata.
+ */
+function invoiceMetadata(inv) {
+  const details = inv.subscription_details ||
+                  (inv.parent && inv.parent.subscription_details) || {};
+  return Object.assign({}, details.metadata || {}, inv.metadata || {});
+}
+
+/**
+ * Tax of an invoice in minor units: `tax` (older API versions), else the sum
+ * of total_taxes / total_tax_amounts; null if the invoice says nothing.
+ */
+function invoiceTax(inv) {
+  if (inv.tax !== undefined && inv.tax !== null) return inv.tax;
+  const list = inv.total_taxes || inv.total_tax_amounts;
+  return Array.isArray(list) ? list.reduce((sum, x) => sum + (Number(x && x.amount) || 0), 0) : null;
+}
+
+/**
+ * Coupon / promotion codes of a Checkout Session or Invoice, comma-separated,
+ * or null. Uses the promotion code (its customer-facing code when expanded),
+ * else the coupon ID. Unexpanded invoice discounts (di_... IDs) carry neither
+ * and are left out.
+ */
+function discountCodes(obj) {
+  const list  = (Array.isArray(obj.discounts) ? obj.discounts : []).concat(obj.discount ? [obj.discount] : []);
+  const codes = [];
+  list.forEach(d => {
+    if (!d || typeof d !== 'object') return;
+    const promo  = d.promotion_code;
+    const coupon = d.coupon || (d.source && d.source.coupon);
+    const code   = String((promo && (promo.code || promo.id || promo)) || (coupon && (coupon.id || coupon)) || '').trim();
+    if (code && codes.indexOf(code) < 0) codes.push(code);
+  });
+  return codes.length ? codes.join(', ') : null;
+}
+
+/**
+ * Currencies whose Stripe amounts are already whole units (no cents).
+ */
+const ZERO_DECIMAL_CURRENCIES = [
+  'bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga', 'pyg', 'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf'
+];
+
+/**
+ * Converts a Stripe amount (minor units) to the currency's major unit, or
+ * null if there is no amount.
+ *   stripeAmount(1999, 'usd') → 19.99    stripeAmount(500, 'jpy') → 500
+ */
+function stripeAmount(value, currency) {
+  if (value === undefined || value === null || value === '' || isNaN(Number(value))) return null;
+  const zeroDecimal = ZERO_DECIMAL_CURRENCIES.indexOf(String(currency || '').toLowerCase()) >= 0;
+  return zeroDecimal ? Number(value) : Number(value) / 100;
+}
+
+/**
+ * Upper-case ISO currency code, or null.
+ */
+function currencyCode(currency) {
+  return String(currency || '').trim().toUpperCase() || null;
+}
+
+/**
+ * ID of a Stripe reference that may be expanded into an object, or null.
+ */
+function stripeId(v) {
+  return String((v && v.id) || v || '').trim() || null;
+}
+
+/**
+ * The only element of a list (e.g. payment_method_types), or null if it has
+ * none or several.
+ */
+function singleValue(list) {
+  return Array.isArray(list) && list.length === 1 ? String(list[0]) : null;
+}
+
+/**
+ * Product IDs (prod_...) of a Checkout Session's line_items (only present
+ * when expanded), an Invoice's lines or a Subscription's items, in order.
+ */
+function lineItemProductIds(obj) {
+  return lineItems(obj).map(item => item.product).filter(Boolean);
+}
+
+/**
+ * Line items of a Checkout Session / Invoice / Subscription as
+ * [{ product: 'prod_...', quantity: 2, amount: 3998 }, ...], with the
+ * amount in minor units (Checkout amount_total, invoice line amount; null
+ * for subscription items).
+ */
+function lineItems(obj) {
+  const items = (obj.line_items && obj.line_items.data) ||
+                (obj.lines && obj.lines.data) ||
+                (obj.items && obj.items.data) || [];
+  return items.map(item => {
+    const price = item.price ||
+                  (item.pricing && item.pricing.price_details) || {};
+    const product = price.product;
+    const amount  = item.amount_total !== undefined ? item.amount_total : item.amount;
+    return {
+      product:  String((product && product.id) || product || '').trim(),
+      quantity: Number(item.quantity) || 0,
+      amount:   amount === undefined || amount === null || isNaN(Number(amount)) ? null : Number(amount)
+    };
+  });
+}
+
+/**
+ * Splits a comma-separated metadata value into trimmed, non-empty parts.
+ */
+function splitList(v) {
+  return String(v || '').split(',').map(x => x.trim()).filter(Boolean);
+}
+
+/**
+ * Access code comparison key, for codes typed by customers and stored in
+ * the sheet: Stripe receipt / invoice URLs are reduced to the ID they end
+ * with, then a leading "#", whitespace and dashes are dropped and case is
+ * folded. Keep in sync with canonicalCode_() in FramerEndpoint.js.
+ *   canonicalCode('#1234-5678') → '12345678'
+ *   canonicalCode('https://invoice.stripe.com/i/acct_1/live_X?s=ap') → 'live_x'
+ */
+function canonicalCode(s) {
+  let v = String(s === null || s === undefined ? '' : s).trim();
+  if (/^(https?:\/\/)?[\w.-]*stripe\.com\//i.test(v)) {
+    const parts = v.replace(/^https?:\/\//i, '').split(/[?#]/)[0].split('/').slice(1).filter(Boolean);
+    const ids   = parts.filter(x => /^[a-z]+_\w+$/i.test(x) && !/^acct_/i.test(x));
+    v = ids.length ? ids[ids.length - 1] : (parts[parts.length - 1] || '');
+  }
+  return v.replace(/^#/, '').replace(/[\s-]+/g, '').toLowerCase();
+}
+
+/**
+ * Distinct canonical codes (see canonicalCode) among the values; a value may
+ * be a comma-separated list (an Alternate Codes cell).
+ */
+function canonicalCodes(values) {
+  const out = [];
+  values.forEach(v => splitList(v).forEach(code => {
+    const c = canonicalCode(code);
+    if (c && out.indexOf(c) < 0) out.push(c);
+  }));
+  return out;
+}
+
+/**
+ * Plugin name comparison key: lowercase, alphanumerics only
+ * (same as norm() in FramerEndpoint.js).
+ */
+function normalizePluginName(s) {
+  return String(s || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Latest service period end among the invoice's line items (the date the
+ * subscription is paid through), as a Date.
+ */
+function invoicePeriodEnd(inv) {
+  const lines = (inv.lines && inv.lines.data) || [];
+  let end = 0;
+  lines.forEach(l => { if (l.period && l.period.end > end) end = Number(l.period.end); });
+  return end ? new Date(end * 1000) : null;
+}
+
+/**
+ * Current period end of a subscription object, as a Date. Newer API versions
+ * moved current_period_end onto the subscription items.
+ */
+function subscriptionPeriodEnd(sub) {
+  let end = Number(sub.current_period_end) || 0;
+  const items = (sub.items && sub.items.data) || [];
+  items.forEach(it => { if (Number(it.current_period_end) > end) end = Number(it.current_period_end); });
+  return end ? new Date(end * 1000) : null;
+}
+
+/**
+ * Return a JSON response using ContentService.
+ * This returns a proper application/json response body, which Stripe accepts
+ * as long as the HTTP status is 2xx.
+ *
+ * @param {Object} o The object to return as JSON.
+ */
+function json(o) {
+  return ContentService
+    .createTextOutput(JSON.stringify(o))
+    .setMimeType(ContentService.MimeType.JSON);
+}
+
+/**
+ * JSON error response in the shared error format (see API_ERROR_STATUS).
+ *
+ * @param {string} code    An API_ERROR_STATUS key.
+ * @param {string} message Human-readable text; also sent as `error` unless fields has one.
+ * @param {Object=} fields Extra fields (event_id, ...).
+ */
+function jsonError(code, message, fields) {
+  return json(Object.assign({
+    v: 2,
+    ok: false,
+    status: API_ERROR_STATUS[code] || API_ERROR_STATUS.internal_error,
+    code,
+    message,
+    request_id: Utilities.getUuid(),
+    error: message
+  }, fields));
+}
+
+/**
+ * Error carrying an API_ERROR_STATUS code; doPost answers it with jsonError().
+ */
+function apiError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Parses the incoming webhook payload.
+ * Supports:
+ *  - application/json
+ *  - application/x-www-form-urlencoded (e.g., payload in a "payload" field)
+ */
+function parseIncoming(e) {
+  const ct = String(e.postData.type || '').toLowerCase();
+
+  if (ct.includes('application/json')) {
+    return JSON.parse(e.postData.contents || '{}');
+  }
+
+  if (ct.includes('application/x-www-form-urlencoded')) {
+    const p = e.parameter || {};
+    const out = {};
+    Object.keys(p).forEach(k => out[k] = Array.isArray(p[k]) ? p[k][0] : p[k]);
+    try { return JSON.parse(out.payload || '{}'); } catch (_) { return out; }
+  }
+
+  // Fallback: attempt to parse as JSON
+  return JSON.parse(e.postData.contents || '{}');
+}
+
+/**
+ * Normalizes a header name into a lowercase, underscore-separated key.
+ * e.g. "Client Name" → "client_name"
+ */
+function normalizeKey(h) {
+  return String(h || '').trim().toLowerCase().replace(/\s+/g, '_');
+}
+
+/**
+ * Builds a map: normalized header key → column index (1-based).
+ */
+function headerIndexMap(headers) {
+  const m = {};
+  headers.forEach((h, i) => {
+    const k = normalizeKey(h);
+    if (k) m[k] = i + 1;
+  });
+  return m;
 }
 
 /**
@@ -419,8 +2882,9 @@ function headerIndexMap(headers) {
  * Returns the full header row after ensuring all required headers exist.
  */
 function ensureHeaders(sh, required) {
-  const lastCol = Math.max(1, sh.getLastColumn());
-  let headers = sh.getRange(1, 1, 1, lastCol).getValues()[0].map(h => String(h || '').trim());
+  const lastCol = sh.getLastColumn();
+  // A brand-new sheet (e.g. the ledger) has no header row yet
+  let headers = lastCol ? sh.getRange(1, 1, 1, lastCol).getValues()[0].map(h => String(h || '').trim()) : [];
   const hmap = headerIndexMap(headers);
 
   required.forEach(name => {
@@ -434,6 +2898,24 @@ function ensureHeaders(sh, required) {
   return sh.getRange(1, 1, 1, sh.getLastColumn()).getValues()[0].map(h => String(h || '').trim());
 }
 
+/**
+ * Finds the row indexes (1-based) of ALL rows where the given column equals
+ * the given value, in sheet order. Returns [] if none.
+ */
+function findRowsByValue(sh, col, value) {
+  const lastRow = sh.getLastRow();
+  if (!col || lastRow <= 1) return [];
+
+  const vals = sh.getRange(2, col, lastRow - 1, 1).getValues().flat();
+  const s    = String(value || '').trim();
+  const out  = [];
+
+  for (let i = 0; i < vals.length; i++) {
+    if (String(vals[i] || '').trim() === s) out.push(i + 2);
+  }
+  return out;
+}
+
 /**
  * Finds the row index (1-based) for the first row where the given column
  * equals the given value. Returns 0 if not found.